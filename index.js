@@ -13,6 +13,8 @@ const cron = require('node-cron');
 const { Pool } = require('pg'); // Importa o driver do PostgreSQL
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const os = require('os');
 
 const app = express();
 
@@ -25,33 +27,577 @@ const pool = new Pool({
 });
 
 // --- Constantes de Planos ---
- // Limite de reservas por mês para o plano gratuito. O valor padrão é 5, mas pode ser sobrescrito pela variável de ambiente.
-const envLimit = parseInt(process.env.FREE_PLAN_RESERVATION_LIMIT, 10);
-const FREE_PLAN_RESERVATION_LIMIT = !isNaN(envLimit) ? envLimit : 5;
+// Janela, em minutos após a reserva, em que o cancelamento pelo cliente devolve a vaga na cota mensal.
+const envGrace = parseInt(process.env.RESERVATION_CANCEL_GRACE_MINUTES, 10);
+const RESERVATION_CANCEL_GRACE_MINUTES = !isNaN(envGrace) ? envGrace : 15;
+
+// --- Constantes de Listagem ---
+// Paginação padrão e máxima da listagem de estabelecimentos.
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Expressão usada na busca textual. Deve ser idêntica à do índice trigram criado em migrate.js.
+const ESTABELECIMENTO_SEARCH_EXPR = `(nome || ' ' || COALESCE(details->>'info', '') || ' ' || COALESCE(details#>>'{endereco,bairro}', ''))`;
 
 // Middlewares
-app.use(cors());
-app.use(express.json());
+// Expõe o cabeçalho de paginação para o frontend, que roda em outra origem.
+app.use(cors({ exposedHeaders: ['X-Total-Count'] }));
+// O corpo original fica em req.rawBody para conferir a assinatura dos webhooks de pagamento.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // --- Helpers para Token de Reserva ---
-const generateReservationToken = (type, estId, val) => {
-  // Formato: TIPO:EST_ID:VALOR (ex: M:1:14:30 ou S:1:abc-123)
-  // M = Manual, S = Scheduled (ID), T = Time (Scheduled String)
-  const str = `${type}:${estId}:${val}`;
-  return Buffer.from(str).toString('base64');
+// Os tokens são assinados com HMAC e expiram algum tempo depois do horário da fornada.
+const RESERVATION_TOKEN_TYPES = ['M', 'S', 'T'];
+const envTokenGrace = parseInt(process.env.RESERVATION_TOKEN_GRACE_MINUTES, 10);
+const RESERVATION_TOKEN_GRACE_MINUTES = !isNaN(envTokenGrace) ? envTokenGrace : 60;
+// Tokens antigos (apenas base64, sem assinatura) já enviados em notificações continuam aceitos até esta data
+// (padrão documentado no README). Uma data inválida impede o servidor de subir (veja startServer).
+const LEGACY_RESERVATION_TOKENS_UNTIL = new Date(process.env.LEGACY_RESERVATION_TOKENS_UNTIL || '2026-11-19T00:00:00-03:00');
+
+const getReservationTokenSecret = () => process.env.RESERVATION_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const signReservationPayload = (payload) =>
+  crypto.createHmac('sha256', getReservationTokenSecret()).update(payload).digest('base64url');
+
+const generateReservationToken = (type, estId, val, expiresAt, notificationId = null) => {
+  // Formato: base64url(TIPO:EST_ID:EXPIRA_EM[:nNOTIFICACAO]:VALOR).assinatura (ex: S:1:1767225600:n7:42 ou M:1:1767225600:14:30)
+  // M = Manual, S = Scheduled (ID), T = Time (Scheduled String). EXPIRA_EM em segundos (epoch).
+  // nNOTIFICACAO é o ID da notificação que levou o link, para ligar a reserva a ela.
+  const notificationPart = notificationId ? `n${notificationId}:` : '';
+  const payload = Buffer.from(`${type}:${estId}:${Math.floor(expiresAt.getTime() / 1000)}:${notificationPart}${val}`).toString('base64url');
+  return `${payload}.${signReservationPayload(payload)}`;
 };
 
+// Retorna { type, estId, val, expiresAt, notificationId } ou null se o token for malformado ou a assinatura não conferir.
+// A expiração não é verificada aqui; quem chama decide como responder a um token vencido.
 const decodeReservationToken = (token) => {
-  try {
-    const str = Buffer.from(token, 'base64').toString('utf-8');
+  if (typeof token !== 'string' || !token) return null;
+
+  const parseParts = (str, withExpiry) => {
     const parts = str.split(':');
+    const minParts = withExpiry ? 4 : 3;
+    if (parts.length < minParts) return null;
     const type = parts[0];
+    if (!RESERVATION_TOKEN_TYPES.includes(type) || !/^\d+$/.test(parts[1])) return null;
     const estId = parseInt(parts[1], 10);
-    const val = parts.slice(2).join(':'); // Reconstrói o valor caso contenha ':' (ex: 10:30)
-    return { type, estId, val };
-  } catch (e) {
-    return null;
+    let expiresAt = LEGACY_RESERVATION_TOKENS_UNTIL;
+    let notificationId = null;
+    let valueStart = minParts - 1;
+    if (withExpiry) {
+      if (!/^\d+$/.test(parts[2])) return null;
+      expiresAt = new Date(parseInt(parts[2], 10) * 1000);
+      if (/^n\d+$/.test(parts[3])) {
+        notificationId = parseInt(parts[3].slice(1), 10);
+        valueStart++;
+      }
+    }
+    const val = parts.slice(valueStart).join(':'); // Reconstrói o valor caso contenha ':' (ex: 10:30)
+    if (!val) return null;
+    return { type, estId, val, expiresAt, notificationId };
+  };
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (signature === undefined) {
+    // Token legado, gerado antes da assinatura
+    return parseParts(Buffer.from(token, 'base64').toString('utf-8'), false);
+  }
+  if (rest.length > 0 || !payload) return null;
+
+  const expected = Buffer.from(signReservationPayload(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+  return parseParts(Buffer.from(payload, 'base64url').toString('utf-8'), true);
+};
+
+// --- Helpers de Horário de Funcionamento ---
+// Instante atual no fuso de São Paulo, no formato esperado pelas funções de horário criadas em migrate.js.
+const SAO_PAULO_NOW_SQL = `(NOW() AT TIME ZONE 'America/Sao_Paulo')`;
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Colunas calculadas is_open/next_opening para uma consulta sobre estabelecimentos.
+const openingStatusColumns = (idColumn) => `
+  estabelecimento_aberto(${idColumn}, ${SAO_PAULO_NOW_SQL}) AS is_open,
+  CASE WHEN estabelecimento_aberto(${idColumn}, ${SAO_PAULO_NOW_SQL}) THEN NULL
+    ELSE estabelecimento_proxima_abertura(${idColumn}, ${SAO_PAULO_NOW_SQL})
+  END AS next_opening`;
+
+// Valida uma lista de turnos no formato { opensAt: 'HH:MM', closesAt: 'HH:MM' }.
+const isValidShiftList = (shifts) => Array.isArray(shifts)
+  && shifts.every(shift => shift && TIME_REGEX.test(shift.opensAt) && TIME_REGEX.test(shift.closesAt));
+
+// Busca o horário semanal e as exceções vigentes ou futuras de um estabelecimento.
+const loadOpeningHours = async (estabelecimentoId) => {
+  const [hoursResult, exceptionsResult] = await Promise.all([
+    pool.query(
+      `SELECT weekday, to_char(opens_at, 'HH24:MI') AS opens_at, to_char(closes_at, 'HH24:MI') AS closes_at
+       FROM establishment_hours
+       WHERE estabelecimento_id = $1
+       ORDER BY weekday, opens_at`,
+      [estabelecimentoId]
+    ),
+    pool.query(
+      `SELECT id, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, shifts, description
+       FROM establishment_hour_exceptions
+       WHERE estabelecimento_id = $1 AND end_date >= ${SAO_PAULO_NOW_SQL}::date
+       ORDER BY start_date`,
+      [estabelecimentoId]
+    )
+  ]);
+
+  return {
+    openingHours: hoursResult.rows.map(row => ({ weekday: row.weekday, opensAt: row.opens_at, closesAt: row.closes_at })),
+    hourExceptions: exceptionsResult.rows.map(row => ({
+      id: row.id,
+      startDate: row.start_date,
+      endDate: row.end_date,
+      shifts: row.shifts,
+      closed: row.shifts.length === 0,
+      description: row.description
+    }))
+  };
+};
+
+// Verifica se o estabelecimento existe e pertence ao usuário (mesma regra do PUT /api/estabelecimentos/:id).
+const isEstabelecimentoOwner = async (estabelecimentoId, userId) => {
+  const result = await pool.query('SELECT id FROM estabelecimentos WHERE id = $1 AND user_id = $2', [estabelecimentoId, userId]);
+  return result.rowCount > 0;
+};
+
+// --- Helpers de Fornadas ---
+// Colunas de uma fornada no formato usado por formatFornada (a tabela deve ter o alias "f").
+const FORNADA_COLUMNS = `
+  f.id, f.estabelecimento_id, to_char(f.time, 'HH24:MI') AS time, f.description, f.weekdays,
+  to_char(f.date, 'YYYY-MM-DD') AS date, f.is_active, f.capacity, f.tags,
+  fornada_restante(f.id, ${SAO_PAULO_NOW_SQL}::date) AS remaining,
+  COALESCE((
+    SELECT json_agg(json_build_object('id', p.id, 'name', p.name, 'price', p.price, 'unit', p.unit, 'photoUrl', p.photo_url) ORDER BY p.name)
+    FROM fornada_products fp JOIN products p ON p.id = fp.product_id
+    WHERE fp.fornada_id = f.id AND p.is_active
+  ), '[]') AS products,
+  ARRAY(
+    SELECT to_char(c.date, 'YYYY-MM-DD') FROM fornada_cancellations c
+    WHERE c.fornada_id = f.id AND c.date >= ${SAO_PAULO_NOW_SQL}::date
+    ORDER BY c.date
+  ) AS cancelled_dates`;
+
+// Converte uma linha da tabela fornadas no formato exposto pela API.
+const formatFornada = (row) => ({
+  id: row.id,
+  time: row.time,
+  description: row.description,
+  weekdays: row.weekdays, // null = todos os dias
+  date: row.date, // preenchida apenas em fornadas avulsas
+  active: row.is_active,
+  capacity: row.capacity, // null = sem limite
+  remaining: row.remaining, // unidades livres hoje (null = sem limite)
+  soldOut: row.remaining === 0,
+  products: row.products, // produtos ativos que saem nesta fornada
+  tags: row.tags,
+  cancelledDates: row.cancelled_dates
+});
+
+// --- Tags de Fornada ---
+// Etiquetas livres (ex: "pão de queijo", "integral") usadas pelos inscritos para seguir só parte das fornadas.
+// São guardadas em minúsculas e sem espaços nas pontas, para comparar sem diferenciar maiúsculas.
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const isValidTagList = (tags) => Array.isArray(tags) && tags.length <= MAX_TAGS &&
+  tags.every(tag => typeof tag === 'string' && tag.trim().length > 0 && tag.trim().length <= MAX_TAG_LENGTH);
+
+const normalizeTags = (tags) => [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+// Condição SQL: a inscrição (es) segue a fornada $3, com etiquetas $4 e descrição $5.
+// Sem nenhum filtro, a inscrição segue todas as fornadas. As etiquetas do inscrito também são procuradas na descrição.
+const SUBSCRIPTION_FILTER_MATCH_SQL = `(
+  (cardinality(es.fornada_ids) = 0 AND cardinality(es.product_ids) = 0 AND cardinality(es.tags) = 0)
+  OR $3 = ANY(es.fornada_ids)
+  OR EXISTS (SELECT 1 FROM fornada_products fp WHERE fp.fornada_id = $3 AND fp.product_id = ANY(es.product_ids))
+  OR es.tags && $4::text[]
+  OR EXISTS (SELECT 1 FROM unnest(es.tags) t WHERE strpos(lower(COALESCE($5, '')), t) > 0)
+)`;
+
+// Valida os campos de uma fornada. Retorna a mensagem de erro ou null se estiver tudo certo.
+// Na edição (partial), o horário pode ser omitido para manter o atual.
+const validateFornadaInput = ({ time, weekdays, date, capacity, productIds, tags, active }, { partial = false } = {}) => {
+  if ((!partial || time !== undefined) && !TIME_REGEX.test(time || '')) {
+    return 'O horário da fornada (time) deve estar no formato HH:MM.';
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return 'active deve ser true ou false.';
+  }
+  if (weekdays != null && (!Array.isArray(weekdays) || weekdays.length === 0 || !weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+    return 'weekdays deve ser uma lista de dias entre 0 (domingo) e 6 (sábado).';
+  }
+  if (date != null && !DATE_REGEX.test(date)) {
+    return 'date deve estar no formato AAAA-MM-DD.';
+  }
+  if (date != null && weekdays != null) {
+    return 'Informe weekdays (fornada recorrente) ou date (fornada avulsa), não os dois.';
+  }
+  if (capacity != null && (!Number.isInteger(capacity) || capacity <= 0)) {
+    return 'capacity deve ser um número inteiro maior que zero (ou null para sem limite).';
+  }
+  if (productIds !== undefined && (!Array.isArray(productIds) || !productIds.every(Number.isInteger))) {
+    return 'productIds deve ser uma lista de IDs de produtos.';
+  }
+  if (tags !== undefined && !isValidTagList(tags)) {
+    return `tags deve ser uma lista de até ${MAX_TAGS} etiquetas com até ${MAX_TAG_LENGTH} caracteres.`;
+  }
+  return null;
+};
+
+// Busca a agenda de fornadas de um estabelecimento (sem as fornadas avulsas que já passaram).
+const loadFornadas = async (estabelecimentoId) => {
+  const result = await pool.query(
+    `SELECT ${FORNADA_COLUMNS}
+     FROM fornadas f
+     WHERE f.estabelecimento_id = $1 AND (f.date IS NULL OR f.date >= ${SAO_PAULO_NOW_SQL}::date)
+     ORDER BY f.time, f.id`,
+    [estabelecimentoId]
+  );
+  return result.rows.map(formatFornada);
+};
+
+// Busca uma única fornada pelo ID.
+const loadFornada = async (fornadaId) => {
+  const result = await pool.query(`SELECT ${FORNADA_COLUMNS} FROM fornadas f WHERE f.id = $1`, [fornadaId]);
+  return result.rows.length > 0 ? formatFornada(result.rows[0]) : null;
+};
+
+// Busca as fornadas de hoje dos estabelecimentos informados, agrupadas por estabelecimento.
+// O resultado substitui o antigo details.proximaFornada nas respostas da API.
+const loadProximasFornadas = async (estabelecimentoIds) => {
+  const proximasFornadas = new Map(estabelecimentoIds.map(id => [id, []]));
+  if (estabelecimentoIds.length === 0) {
+    return proximasFornadas;
+  }
+
+  const result = await pool.query(
+    `SELECT f.id, f.estabelecimento_id, to_char(f.time, 'HH24:MI') AS time, f.description, f.tags,
+       fornada_restante(f.id, ${SAO_PAULO_NOW_SQL}::date) AS remaining
+     FROM fornadas_do_dia(${SAO_PAULO_NOW_SQL}::date) f
+     WHERE f.estabelecimento_id = ANY($1::int[])
+     ORDER BY f.time`,
+    [estabelecimentoIds]
+  );
+  for (const row of result.rows) {
+    proximasFornadas.get(row.estabelecimento_id).push({
+      id: row.id,
+      time: row.time,
+      description: row.description,
+      tags: row.tags,
+      remaining: row.remaining,
+      soldOut: row.remaining === 0
+    });
+  }
+  return proximasFornadas;
+};
+
+// Separa o array legado details.proximaFornada ("HH:MM" ou { id, time, description }) do restante dos detalhes.
+// A agenda de fornadas não é mais guardada no JSONB.
+const extractLegacyFornadas = (details) => {
+  const { proximaFornada, ...rest } = details;
+  const legacyFornadas = (Array.isArray(proximaFornada) ? proximaFornada : [])
+    .map(item => (typeof item === 'string' ? { time: item } : item))
+    .filter(item => item && TIME_REGEX.test(item.time));
+  return { details: rest, legacyFornadas };
+};
+
+// Confere se o details.proximaFornada enviado é a mesma lista de fornadas de hoje devolvida pela API
+// (mesmos horários e descrições), ou seja, se o cliente só reenviou o que recebeu.
+const isUnchangedLegacyFornadaList = (proximaFornada, fornadasDeHoje) => {
+  if (!Array.isArray(proximaFornada)) return false;
+  const { legacyFornadas } = extractLegacyFornadas({ proximaFornada });
+  if (legacyFornadas.length !== proximaFornada.length || legacyFornadas.length !== fornadasDeHoje.length) return false;
+  const key = (fornada) => `${fornada.time}|${fornada.description || ''}`;
+  const sent = legacyFornadas.map(key).sort();
+  const current = fornadasDeHoje.map(key).sort();
+  return sent.every((item, index) => item === current[index]);
+};
+
+// --- Antecedência dos Avisos de Fornada ---
+// Minutos antes da fornada em que os inscritos são avisados (0 = "saiu agora").
+// O padrão (60 e 5) é o mesmo da coluna notification_lead_times criada em migrate.js.
+const MAX_NOTIFICATION_LEAD_MINUTES = 240;
+const MAX_NOTIFICATION_LEAD_TIMES = 4;
+
+const isValidLeadTimeList = (leadTimes, maxLength) =>
+  Array.isArray(leadTimes) && leadTimes.length <= maxLength &&
+  leadTimes.every(lead => Number.isInteger(lead) && lead >= 0 && lead <= MAX_NOTIFICATION_LEAD_MINUTES) &&
+  new Set(leadTimes).size === leadTimes.length;
+
+// "1 hora", "30 minutos", "1h30"
+const formatLeadTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest} minuto${rest === 1 ? '' : 's'}`;
+  if (rest === 0) return `${hours} hora${hours === 1 ? '' : 's'}`;
+  return `${hours}h${String(rest).padStart(2, '0')}`;
+};
+
+// Título e texto do aviso de uma fornada, de acordo com a antecedência
+const buildFornadaAlertCopy = (leadMinutes, nome, fornadaTime, fornadaDescription) => {
+  const descPart = fornadaDescription ? ` de ${fornadaDescription}` : '';
+  if (leadMinutes === 0) {
+    return {
+      title: `Saiu agora em ${nome}!`,
+      info: `Fornada das ${fornadaTime}${descPart} quentinha no balcão!`
+    };
+  }
+  if (leadMinutes <= 10) {
+    return {
+      title: `Está saindo agora em ${nome}!`,
+      info: `Saindo às ${fornadaTime}${descPart}. Corre que é daqui a ${formatLeadTime(leadMinutes)}!`
+    };
+  }
+  const verbo = leadMinutes >= 60 && leadMinutes < 120 ? 'Falta' : 'Faltam';
+  return {
+    title: `${verbo} ${formatLeadTime(leadMinutes)} para a fornada em ${nome}!`,
+    info: `Vai sair às ${fornadaTime}${descPart}. ${verbo} ${formatLeadTime(leadMinutes)}.`
+  };
+};
+
+// --- Horário de Silêncio e Pausa das Notificações ---
+// Valem para os avisos de fornada e os avisos manuais, nunca para as notificações de reserva.
+// Podem ser definidos pelo usuário (todos os seus dispositivos) ou por dispositivo; vale o mais restritivo.
+// As consultas que usam estas expressões precisam de subscriptions s LEFT JOIN users u ON u.id = s.user_id.
+
+// Quando termina o horário de silêncio do destinatário (NULL se ele não está em silêncio agora)
+const QUIET_UNTIL_SQL = `GREATEST(fim_horario_silencioso(s.quiet_hours_start, s.quiet_hours_end), fim_horario_silencioso(u.quiet_hours_start, u.quiet_hours_end))`;
+// Nem o dispositivo nem o usuário pausaram as notificações
+const NOT_PAUSED_SQL = `(s.notifications_paused_until IS NULL OR s.notifications_paused_until <= NOW())
+  AND (u.notifications_paused_until IS NULL OR u.notifications_paused_until <= NOW())`;
+const QUIET_HOURS_COLUMNS = `to_char(quiet_hours_start, 'HH24:MI') AS quiet_hours_start, to_char(quiet_hours_end, 'HH24:MI') AS quiet_hours_end, notifications_paused_until`;
+
+const formatQuietHours = (row) => ({
+  quietHoursStart: row.quiet_hours_start,
+  quietHoursEnd: row.quiet_hours_end,
+  pausedUntil: row.notifications_paused_until
+});
+
+/**
+ * Valida { quietHoursStart, quietHoursEnd, pausedUntil } e retorna as colunas a atualizar.
+ * Campos ausentes mantêm o valor atual; null desativa. Retorna { error } se algo for inválido.
+ */
+const parseQuietHoursInput = (body) => {
+  const { quietHoursStart, quietHoursEnd, pausedUntil } = body || {};
+  const columns = {};
+
+  if (quietHoursStart !== undefined || quietHoursEnd !== undefined) {
+    const bothNull = quietHoursStart === null && quietHoursEnd === null;
+    const bothValid = TIME_REGEX.test(quietHoursStart) && TIME_REGEX.test(quietHoursEnd) && quietHoursStart !== quietHoursEnd;
+    if (!bothNull && !bothValid) {
+      return { error: 'quietHoursStart e quietHoursEnd devem ser informados juntos, no formato HH:MM e diferentes entre si (ou ambos null).' };
+    }
+    columns.quiet_hours_start = quietHoursStart;
+    columns.quiet_hours_end = quietHoursEnd;
+  }
+
+  if (pausedUntil !== undefined) {
+    if (pausedUntil !== null && (typeof pausedUntil !== 'string' || isNaN(new Date(pausedUntil).getTime()))) {
+      return { error: 'pausedUntil deve ser uma data e hora válida (ISO 8601) ou null.' };
+    }
+    columns.notifications_paused_until = pausedUntil;
+  }
+
+  if (Object.keys(columns).length === 0) {
+    return { error: 'Informe quietHoursStart/quietHoursEnd e/ou pausedUntil.' };
+  }
+  return { columns };
+};
+
+// --- Helpers de Produtos ---
+// Converte uma linha da tabela products no formato exposto pela API.
+const formatProduct = (row) => ({
+  id: row.id,
+  name: row.name,
+  price: Number(row.price),
+  unit: row.unit,
+  photoUrl: row.photo_url,
+  active: row.is_active
+});
+
+// Valida os campos de um produto. Retorna a mensagem de erro ou null se estiver tudo certo.
+const validateProductInput = ({ name, price, unit }) => {
+  if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 120) {
+    return 'O nome do produto é obrigatório (até 120 caracteres).';
+  }
+  if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+    return 'O preço deve ser um número maior ou igual a zero.';
+  }
+  if (unit != null && (typeof unit !== 'string' || unit.trim().length === 0 || unit.length > 20)) {
+    return 'A unidade deve ter até 20 caracteres (ex: "unidade", "kg").';
+  }
+  return null;
+};
+
+// Confere se todos os produtos informados pertencem ao estabelecimento.
+const productsBelongToEstabelecimento = async (db, productIds, estabelecimentoId) => {
+  if (productIds.length === 0) return true;
+  const result = await db.query(
+    'SELECT COUNT(*)::int AS total FROM products WHERE id = ANY($1::int[]) AND estabelecimento_id = $2',
+    [productIds, estabelecimentoId]
+  );
+  return result.rows[0].total === new Set(productIds).size;
+};
+
+// Substitui os produtos ligados a uma fornada.
+const saveFornadaProducts = async (db, fornadaId, productIds) => {
+  await db.query('DELETE FROM fornada_products WHERE fornada_id = $1', [fornadaId]);
+  await db.query(
+    'INSERT INTO fornada_products (fornada_id, product_id) SELECT DISTINCT $1::int, unnest($2::int[])',
+    [fornadaId, productIds]
+  );
+};
+
+// Itens e total de cada reserva, para as listagens (alias r = reservations)
+const RESERVATION_ITEMS_COLUMNS = `
+  r.total::float8 AS total,
+  COALESCE((
+    SELECT json_agg(json_build_object('product_id', ri.product_id, 'product_name', ri.product_name, 'unit_price', ri.unit_price, 'quantity', ri.quantity) ORDER BY ri.id)
+    FROM reservation_items ri WHERE ri.reservation_id = r.id
+  ), '[]') AS items`;
+
+// --- Status de Reserva ---
+const RESERVATION_STATUSES = ['pendente', 'confirmada', 'rejeitada', 'pronta', 'retirada', 'nao_compareceu', 'cancelada'];
+
+// Status em que o próprio cliente ainda pode cancelar a reserva
+const CUSTOMER_CANCELLABLE_STATUSES = ['pendente', 'confirmada', 'pronta'];
+
+// Transições que o lojista pode fazer: status atual -> próximos status permitidos
+const RESERVATION_TRANSITIONS = {
+  pendente: ['confirmada', 'rejeitada'],
+  confirmada: ['pronta', 'retirada', 'nao_compareceu'],
+  pronta: ['retirada', 'nao_compareceu']
+};
+
+// Data da ocorrência reservada. Reservas antigas, sem reservation_date, usam o dia da criação.
+const RESERVATION_DATE_SQL = `COALESCE(r.reservation_date, (r.created_at AT TIME ZONE 'America/Sao_Paulo')::date)`;
+
+// Texto da notificação enviada ao cliente em cada mudança de status
+const RESERVATION_STATUS_NOTIFICATIONS = {
+  confirmada: (nome, horario) => ({
+    title: 'Reserva confirmada! 🎉',
+    body: `${nome} confirmou sua reserva${horario ? ' da fornada das ' + horario : ''}.`
+  }),
+  rejeitada: (nome) => ({
+    title: 'Reserva não confirmada',
+    body: `Infelizmente ${nome} não conseguiu atender sua reserva desta vez.`
+  }),
+  pronta: (nome) => ({
+    title: 'Seu pedido está pronto! 🥖',
+    body: `Sua reserva já está separada em ${nome}. É só passar para retirar!`
+  }),
+  retirada: (nome) => ({
+    title: 'Reserva retirada',
+    body: `Obrigado por comprar em ${nome}! Bom apetite! 😋`
+  }),
+  nao_compareceu: (nome) => ({
+    title: 'Reserva não retirada',
+    body: `${nome} marcou sua reserva como não retirada.`
+  })
+};
+
+// --- Modelos de Notificação (templates) ---
+// O título e o texto de cada tipo de notificação podem vir de modelos com marcadores, ex: "{estabelecimento}".
+// Ordem de escolha: modelos do estabelecimento, modelos globais (admin) e, sem nenhum, o texto padrão do código.
+// Com mais de um modelo ativo no mesmo nível, um deles é sorteado.
+const FORNADA_TEMPLATE_PLACEHOLDERS = ['estabelecimento', 'horario', 'descricao', 'minutos', 'antecedencia', 'restantes', 'frase'];
+const NOTIFICATION_TEMPLATE_KINDS = {
+  fornada_antes: FORNADA_TEMPLATE_PLACEHOLDERS, // aviso de fornada com mais de 10 minutos de antecedência
+  fornada_saindo: FORNADA_TEMPLATE_PLACEHOLDERS, // até 10 minutos antes
+  fornada_agora: FORNADA_TEMPLATE_PLACEHOLDERS, // antecedência 0 ("saiu agora")
+  manual: ['estabelecimento', 'horario', 'frase'],
+  novo_seguidor: ['estabelecimento'],
+  reserva: ['estabelecimento', 'cliente', 'pedido', 'horario'],
+  reserva_cancelada: ['estabelecimento', 'cliente', 'horario'],
+  ...Object.fromEntries(Object.keys(RESERVATION_STATUS_NOTIFICATIONS).map(status => [`reserva_${status}`, ['estabelecimento', 'horario']]))
+};
+const MAX_TEMPLATE_TITLE_LENGTH = 100;
+const MAX_TEMPLATE_BODY_LENGTH = 300;
+
+const fornadaTemplateKind = (leadMinutes) => {
+  if (leadMinutes === 0) return 'fornada_agora';
+  return leadMinutes <= 10 ? 'fornada_saindo' : 'fornada_antes';
+};
+
+// Troca os marcadores {nome} pelos valores informados. Marcadores sem valor somem do texto.
+const renderTemplate = (text, vars) => text
+  .replace(/\{(\w+)\}/g, (match, name) => (vars[name] == null ? '' : String(vars[name])))
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+const formatNotificationTemplate = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  title: row.title,
+  body: row.body,
+  active: row.is_active
+});
+
+// Valida os campos de um modelo. Retorna a mensagem de erro ou null se estiver tudo certo.
+const validateNotificationTemplateInput = ({ kind, title, body }) => {
+  const placeholders = NOTIFICATION_TEMPLATE_KINDS[kind];
+  if (!placeholders) {
+    return `kind inválido. Use: ${Object.keys(NOTIFICATION_TEMPLATE_KINDS).join(', ')}.`;
+  }
+  if (typeof title !== 'string' || title.trim().length === 0 || title.length > MAX_TEMPLATE_TITLE_LENGTH) {
+    return `O título é obrigatório (até ${MAX_TEMPLATE_TITLE_LENGTH} caracteres).`;
+  }
+  if (typeof body !== 'string' || body.trim().length === 0 || body.length > MAX_TEMPLATE_BODY_LENGTH) {
+    return `O texto é obrigatório (até ${MAX_TEMPLATE_BODY_LENGTH} caracteres).`;
+  }
+  const unknown = [...`${title} ${body}`.matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter(name => !placeholders.includes(name));
+  if (unknown.length > 0) {
+    return `Marcadores não suportados em "${kind}": ${[...new Set(unknown)].map(name => `{${name}}`).join(', ')}. Use: ${placeholders.map(name => `{${name}}`).join(', ')}.`;
+  }
+  return null;
+};
+
+// Sorteia uma frase de notification_messages. As frases próprias do estabelecimento têm preferência sobre as globais.
+// Recebe as linhas { message, estabelecimento_id } já carregadas, para o cron não consultar o banco a cada aviso.
+const pickNotificationPhrase = (phrases, estabelecimentoId) => {
+  const own = phrases.filter(row => row.estabelecimento_id === estabelecimentoId);
+  const candidates = own.length > 0 ? own : phrases.filter(row => row.estabelecimento_id === null);
+  return candidates.length > 0 ? candidates[Math.floor(Math.random() * candidates.length)].message : null;
+};
+
+/**
+ * Monta o título e o texto de uma notificação a partir do modelo do tipo informado.
+ * fallback ({ title, body }) é o texto padrão, usado quando não há modelo cadastrado.
+ */
+const resolveNotificationCopy = async (kind, estabelecimentoId, vars, fallback) => {
+  const result = await pool.query(
+    `SELECT title, body FROM notification_templates
+     WHERE kind = $1 AND is_active AND (estabelecimento_id = $2 OR estabelecimento_id IS NULL)
+     ORDER BY estabelecimento_id IS NULL, random()
+     LIMIT 1`,
+    [kind, estabelecimentoId]
+  );
+  if (result.rowCount === 0) {
+    return fallback;
   }
+  return { title: renderTemplate(result.rows[0].title, vars), body: renderTemplate(result.rows[0].body, vars) };
+};
+
+// --- Código de Retirada ---
+// Alfabeto sem caracteres ambíguos (0/O, 1/I/L), para o cliente ditar o código no balcão.
+const PICKUP_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const PICKUP_CODE_LENGTH = 6;
+// Sorteios antes de desistir da reserva. Com 31^6 códigos, colisões seguidas indicam um problema no banco.
+const PICKUP_CODE_MAX_ATTEMPTS = 5;
+
+const generatePickupCode = () =>
+  Array.from({ length: PICKUP_CODE_LENGTH }, () => PICKUP_CODE_ALPHABET[crypto.randomInt(PICKUP_CODE_ALPHABET.length)]).join('');
+
+// Conteúdo do QR Code mostrado ao cliente: abre a tela de retirada do lojista já com o código.
+const buildPickupQrPayload = (pickupCode) => {
+  const baseUrl = process.env.APP_BASE_URL || '';
+  return `${baseUrl}/retirada/${pickupCode}`;
 };
 
 // --- Configuração das Notificações Push ---
@@ -70,347 +616,3250 @@ if (VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY) {
   console.warn("⚠️ Chaves VAPID não configuradas. O envio de notificações está desabilitado.");
 }
 
-// --- Rotas da API ---
+// --- Fila de Envio das Notificações Push ---
+// Todos os envios passam pela tabela push_queue: os pontos que notificam apenas enfileiram, e o worker
+// processPushQueue envia com concorrência limitada, tenta de novo erros temporários e remove inscrições mortas.
+const envPushConcurrency = parseInt(process.env.PUSH_CONCURRENCY, 10);
+const PUSH_CONCURRENCY = !isNaN(envPushConcurrency) && envPushConcurrency > 0 ? envPushConcurrency : 10;
+const PUSH_MAX_ATTEMPTS = 5;
+const PUSH_RETRY_BASE_SECONDS = 30;
+const PUSH_QUEUE_INTERVAL_MS = 5000;
+// Envios presos em 'enviando' há mais tempo que isso (ex: o processo caiu no meio) voltam para a fila.
+const PUSH_STALE_MINUTES = 5;
+// Os envios finalizados ficam na fila como histórico das estatísticas de notificação e são apagados depois desse prazo.
+// O padrão cobre o maior histórico de estatísticas oferecido pelos planos (365 dias).
+const envPushRetention = parseInt(process.env.PUSH_QUEUE_RETENTION_DAYS, 10);
+const PUSH_QUEUE_RETENTION_DAYS = !isNaN(envPushRetention) && envPushRetention > 0 ? envPushRetention : 365;
+const PUSH_QUEUE_PRUNE_BATCH = 5000;
+
+// --- Limites dos Avisos Manuais (broadcasts) ---
+// Intervalo mínimo entre dois avisos do mesmo estabelecimento e máximo de avisos por dia (horário de São Paulo).
+const envBroadcastInterval = parseInt(process.env.BROADCAST_MIN_INTERVAL_MINUTES, 10);
+const BROADCAST_MIN_INTERVAL_MINUTES = !isNaN(envBroadcastInterval) ? envBroadcastInterval : 30;
+const envBroadcastDaily = parseInt(process.env.BROADCAST_DAILY_LIMIT, 10);
+const BROADCAST_DAILY_LIMIT = !isNaN(envBroadcastDaily) ? envBroadcastDaily : 5;
+// Até quantos dias no futuro um aviso pode ser agendado.
+const BROADCAST_MAX_SCHEDULE_DAYS = 30;
+// Avisos presos em 'enviando' há mais tempo que isso (ex: o processo caiu no meio do disparo) voltam a ser agendados.
+const BROADCAST_STALE_MINUTES = 5;
+
+// Tipos registrados na tabela notifications
+const NOTIFICATION_TYPES = {
+  FORNADA: 'fornada', // aviso automático; a antecedência fica em lead_minutes (ex: 60 ou 5)
+  MANUAL: 'manual',
+  NOVO_SEGUIDOR: 'novo_seguidor',
+  RESERVA: 'reserva',
+  STATUS_RESERVA: 'status_reserva',
+  RESERVA_CANCELADA: 'reserva_cancelada'
+};
 
-// Rota para fornecer a chave pública VAPID para o frontend
-app.get('/api/vapid-public-key', (req, res) => {
-  console.log('➡️  GET /api/vapid-public-key');
-  res.status(200).send(VAPID_PUBLIC_KEY);
+// Registra um disparo de notificação e retorna o seu ID. Cada destinatário ganha uma linha em push_queue,
+// que guarda o resultado do envio e o clique. Recebe o client quando faz parte de uma transação.
+const createNotification = async ({ type, estabelecimentoId = null, leadMinutes = null, title = null, body = null }, db = pool) => {
+  const result = await db.query(
+    `INSERT INTO notifications (type, estabelecimento_id, lead_minutes, title, body)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [type, estabelecimentoId, leadMinutes, title, body]
+  );
+  return result.rows[0].id;
+};
+
+// Enfileira uma notificação já registrada para as inscrições informadas. Retorna quantas entraram na fila.
+// O ID da notificação vai em data.notificationId, para o Service Worker informar o clique.
+// Com sendAt, o envio fica retido até esse horário (ex: fim do horário de silêncio).
+// Dispositivos de usuários com o benefício priorityNotifications passam na frente na fila.
+// Dentro de uma transação (db), os envios só ficam visíveis para o worker depois do COMMIT.
+const enqueuePush = async (subscriptionIds, notification, notificationId, sendAt = null, db = pool) => {
+  if (subscriptionIds.length === 0) return 0;
+  const payload = { notification: { ...notification, data: { ...notification.data, notificationId } } };
+  const result = await db.query(
+    `INSERT INTO push_queue (subscription_id, payload, notification_id, next_attempt_at, priority)
+     SELECT s.id, $2, $3, COALESCE($4::timestamptz, NOW()),
+       CASE WHEN COALESCE((p.entitlements->>'priorityNotifications')::boolean, false) THEN 1 ELSE 0 END
+     FROM subscriptions s
+     LEFT JOIN users u ON u.id = s.user_id
+     LEFT JOIN plans p ON p.id = COALESCE(u.current_plan, 0)
+     WHERE s.id = ANY($1::int[])`,
+    [subscriptionIds, payload, notificationId, sendAt]
+  );
+  setImmediate(processPushQueue); // Não espera o próximo ciclo do worker
+  return result.rowCount;
+};
+
+// Registra e enfileira uma notificação para todos os dispositivos de um usuário.
+// Retorna a quantidade de dispositivos encontrados.
+const sendPushToUser = async (userId, notification, { type, estabelecimentoId = null }) => {
+  const result = await pool.query('SELECT id FROM subscriptions WHERE user_id = $1', [userId]);
+  if (result.rowCount === 0) return 0;
+  const notificationId = await createNotification({ type, estabelecimentoId, title: notification.title, body: notification.body });
+  return enqueuePush(result.rows.map(row => row.id), notification, notificationId);
+};
+
+// Segundos até a próxima tentativa: respeita o Retry-After (segundos ou data HTTP) e,
+// sem ele, usa backoff exponencial a partir de PUSH_RETRY_BASE_SECONDS.
+const getPushRetryDelaySeconds = (err, attempts) => {
+  const retryAfter = err.headers && (err.headers['retry-after'] || err.headers['Retry-After']);
+  if (retryAfter) {
+    const seconds = /^\d+$/.test(String(retryAfter)) ? parseInt(retryAfter, 10) : (new Date(retryAfter).getTime() - Date.now()) / 1000;
+    if (Number.isFinite(seconds)) return Math.max(1, Math.ceil(seconds));
+  }
+  return PUSH_RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+};
+
+// Envia uma notificação da fila e registra o resultado
+const deliverQueuedPush = async (item) => {
+  try {
+    await webpush.sendNotification(item.subscription_data, JSON.stringify(item.payload));
+    await pool.query("UPDATE push_queue SET status = 'enviado', sent_at = NOW(), locked_at = NULL WHERE id = $1", [item.id]);
+  } catch (err) {
+    const statusCode = err.statusCode;
+    if (statusCode === 404 || statusCode === 410) {
+      // A inscrição não existe mais no serviço de push. Os envios dela ficam no histórico como 'expirada'
+      // e o ON DELETE CASCADE remove as ligações com os estabelecimentos.
+      console.log(`🗑️  [PUSH] Inscrição expirada detectada. Removendo: ${item.subscription_data.endpoint}`);
+      await pool.query(
+        `UPDATE push_queue SET status = 'expirada', locked_at = NULL, last_error = $2
+         WHERE subscription_id = $1 AND status IN ('pendente', 'enviando')`,
+        [item.subscription_id, `${statusCode} ${err.message}`]
+      );
+      await pool.query('DELETE FROM subscriptions WHERE id = $1', [item.subscription_id]);
+      return;
+    }
+
+    // 429, 5xx e falhas de rede são temporários
+    const isTemporary = !statusCode || statusCode === 429 || statusCode >= 500;
+    if (isTemporary && item.attempts < PUSH_MAX_ATTEMPTS) {
+      const delaySeconds = getPushRetryDelaySeconds(err, item.attempts);
+      console.warn(`⚠️ [PUSH] Falha temporária (${statusCode || err.message}) no envio ${item.id}. Nova tentativa em ${delaySeconds}s.`);
+      await pool.query(
+        `UPDATE push_queue SET status = 'pendente', locked_at = NULL, last_error = $2,
+           next_attempt_at = NOW() + make_interval(secs => $3)
+         WHERE id = $1`,
+        [item.id, `${statusCode || ''} ${err.message}`.trim(), delaySeconds]
+      );
+    } else {
+      console.error(`❌ [PUSH] Envio ${item.id} falhou definitivamente (${statusCode || err.message}).`);
+      await pool.query(
+        "UPDATE push_queue SET status = 'falhou', locked_at = NULL, last_error = $2 WHERE id = $1",
+        [item.id, `${statusCode || ''} ${err.message}`.trim()]
+      );
+    }
+  }
+};
+
+// Worker da fila. Pode rodar em várias instâncias ao mesmo tempo: o SKIP LOCKED garante que
+// cada envio seja pego por uma só. Dentro do processo, uma execução por vez.
+let pushQueueRunning = false;
+const processPushQueue = async () => {
+  if (pushQueueRunning || !VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return;
+  pushQueueRunning = true;
+  try {
+    await pool.query(
+      `UPDATE push_queue SET status = 'pendente', locked_at = NULL
+       WHERE status = 'enviando' AND locked_at < NOW() - make_interval(mins => $1)`,
+      [PUSH_STALE_MINUTES]
+    );
+
+    while (true) {
+      const claimed = await pool.query(
+        `WITH claimed AS (
+           UPDATE push_queue q
+           SET status = 'enviando', locked_at = NOW(), attempts = q.attempts + 1
+           WHERE q.id IN (
+             SELECT id FROM push_queue
+             WHERE status = 'pendente' AND next_attempt_at <= NOW() AND subscription_id IS NOT NULL
+             ORDER BY priority DESC, next_attempt_at, id
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+           )
+           RETURNING q.id, q.subscription_id, q.payload, q.attempts
+         )
+         SELECT c.*, s.subscription_data FROM claimed c JOIN subscriptions s ON s.id = c.subscription_id`,
+        [PUSH_CONCURRENCY]
+      );
+      if (claimed.rowCount === 0) break;
+
+      // No máximo PUSH_CONCURRENCY envios simultâneos
+      await Promise.all(claimed.rows.map(item => deliverQueuedPush(item).catch(err =>
+        console.error(`❌ [PUSH] Erro ao processar o envio ${item.id}:`, err.stack)
+      )));
+    }
+  } catch (err) {
+    console.error('❌ [PUSH] Erro ao processar a fila de envio:', err.stack);
+  } finally {
+    pushQueueRunning = false;
+  }
+};
+
+// Apaga os envios finalizados (enviado, falhou ou expirada) há mais de PUSH_QUEUE_RETENTION_DAYS dias.
+// Remove em lotes para não segurar a tabela enquanto o worker envia.
+const prunePushQueue = async () => {
+  console.log(`🗑️ [CRON] Removendo da fila os envios finalizados há mais de ${PUSH_QUEUE_RETENTION_DAYS} dias...`);
+  try {
+    let removed = 0;
+    while (true) {
+      const result = await pool.query(
+        `DELETE FROM push_queue WHERE id IN (
+           SELECT id FROM push_queue
+           WHERE status IN ('enviado', 'falhou', 'expirada') AND created_at < NOW() - make_interval(days => $1)
+           LIMIT $2
+         )`,
+        [PUSH_QUEUE_RETENTION_DAYS, PUSH_QUEUE_PRUNE_BATCH]
+      );
+      removed += result.rowCount;
+      if (result.rowCount < PUSH_QUEUE_PRUNE_BATCH) break;
+    }
+    console.log(`✅ [CRON] ${removed} envios antigos removidos da fila.`);
+  } catch (err) {
+    console.error('❌ [CRON] Erro ao limpar a fila de envio:', err.stack);
+    throw err; // Registrado como falha em scheduled_jobs por runScheduledJob
+  }
+};
+
+// Avisa o cliente sobre a mudança de status da sua reserva. Falhas no envio são apenas registradas.
+const notifyReservationStatusChange = async (reserva) => {
+  try {
+    const baseUrl = process.env.APP_BASE_URL || '';
+    const copy = await resolveNotificationCopy(
+      `reserva_${reserva.status}`,
+      reserva.establishment_id,
+      { estabelecimento: reserva.nome, horario: reserva.reservation_time },
+      RESERVATION_STATUS_NOTIFICATIONS[reserva.status](reserva.nome, reserva.reservation_time)
+    );
+    await sendPushToUser(reserva.user_id, {
+      title: copy.title,
+      body: copy.body,
+      icon: 'assets/icons/icon-192x192.png',
+      data: {
+        onActionClick: {
+          default: { operation: 'navigateLastFocusedOrOpen', url: `${baseUrl}/minhas-reservas` }
+        }
+      }
+    }, { type: NOTIFICATION_TYPES.STATUS_RESERVA, estabelecimentoId: reserva.establishment_id });
+  } catch (notifyErr) {
+    console.error(`⚠️ Erro ao notificar o cliente sobre a reserva ${reserva.id}:`, notifyErr.stack);
+  }
+};
+
+// --- Benefícios dos Planos (entitlements) ---
+// Cada plano guarda em plans.entitlements o que o assinante pode fazer. Limites e valores ausentes ou null são
+// ilimitados; benefícios do tipo 'flag' ausentes valem false. Usuários anônimos seguem o plano 0 (gratuito).
+// 'limit' é consumido (tem uso em ENTITLEMENT_USAGE); 'value' é só um teto comparado com o pedido.
+const PLAN_ENTITLEMENTS = {
+  // Clientes
+  monthlyReservations: 'limit', // reservas por ciclo de cobrança (ver inicio_ciclo_cota)
+  maxFollows: 'limit', // estabelecimentos seguidos ao mesmo tempo
+  priorityNotifications: 'flag', // notificações passam na frente na fila de envio
+  // Lojistas
+  maxEstablishments: 'limit', // estabelecimentos cadastrados
+  monthlyBroadcasts: 'limit', // avisos manuais por ciclo de cobrança
+  analyticsRetentionDays: 'value' // até quantos dias atrás o lojista vê as estatísticas
+};
+
+// Público de cada plano: os planos de lojista limitam estabelecimentos e avisos; 'todos' é o plano gratuito (0).
+const PLAN_AUDIENCES = ['cliente', 'lojista', 'todos'];
+const planAudienceForRole = (role) => (role === 'lojista' ? 'lojista' : 'cliente');
+
+// Valida o objeto de entitlements de um plano. Retorna a mensagem de erro ou null se estiver tudo certo.
+const validateEntitlements = (entitlements) => {
+  if (!entitlements || typeof entitlements !== 'object' || Array.isArray(entitlements)) {
+    return 'entitlements deve ser um objeto.';
+  }
+  for (const [key, value] of Object.entries(entitlements)) {
+    const kind = PLAN_ENTITLEMENTS[key];
+    if (!kind) {
+      return `Benefício desconhecido: ${key}. Use ${Object.keys(PLAN_ENTITLEMENTS).join(', ')}.`;
+    }
+    if ((kind === 'limit' || kind === 'value') && value !== null && !(Number.isInteger(value) && value >= 0)) {
+      return `${key} deve ser um número inteiro maior ou igual a zero, ou null para ilimitado.`;
+    }
+    if (kind === 'flag' && typeof value !== 'boolean') {
+      return `${key} deve ser true ou false.`;
+    }
+  }
+  return null;
+};
+
+// Uso atual de cada benefício do tipo 'limit'. Sem usuário, conta pelo dispositivo (subscriptionId).
+const ENTITLEMENT_USAGE = {
+  // Reservas do ciclo atual, menos as devolvidas por cancelamento dentro da carência
+  monthlyReservations: async (db, userId) => {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS total FROM reservations
+       WHERE user_id = $1 AND created_at >= inicio_ciclo_cota($1) AND NOT quota_refunded`,
+      [userId]
+    );
+    return result.rows[0].total;
+  },
+  maxFollows: async (db, userId, { subscriptionId }) => {
+    const result = await db.query(
+      `SELECT COUNT(DISTINCT es.estabelecimento_id)::int AS total
+       FROM establishment_subscriptions es
+       JOIN subscriptions s ON s.id = es.subscription_id
+       WHERE ${userId ? 's.user_id = $1' : 's.id = $1'}`,
+      [userId || subscriptionId]
+    );
+    return result.rows[0].total;
+  },
+  maxEstablishments: async (db, userId) => {
+    const result = await db.query('SELECT COUNT(*)::int AS total FROM estabelecimentos WHERE user_id = $1', [userId]);
+    return result.rows[0].total;
+  },
+  // Avisos enviados ou agendados pelo lojista no ciclo atual
+  monthlyBroadcasts: async (db, userId) => {
+    const result = await db.query(
+      `SELECT COUNT(*)::int AS total FROM broadcasts
+       WHERE user_id = $1 AND created_at >= inicio_ciclo_cota($1) AND status NOT IN ('cancelado', 'falhou')`,
+      [userId]
+    );
+    return result.rows[0].total;
+  }
+};
+
+// Busca o plano do usuário (ou o plano 0, se anônimo) e os seus entitlements
+const loadPlanEntitlements = async (db, userId) => {
+  const result = await db.query(
+    `SELECT p.id, p.entitlements FROM plans p
+     WHERE p.id = COALESCE((SELECT current_plan FROM users WHERE id = $1), 0)`,
+    [userId || null]
+  );
+  return result.rows[0] ? { planId: result.rows[0].id, entitlements: result.rows[0].entitlements || {} } : { planId: 0, entitlements: {} };
+};
+
+/**
+ * Verificação única dos benefícios do plano, usada por todas as rotas que consomem um limite.
+ * Retorna { allowed, planId, limit, used, remaining }; limit e remaining são null quando o plano não tem limite.
+ * Para benefícios do tipo 'flag', allowed indica se o plano tem o benefício.
+ */
+const checkEntitlement = async (db, userId, key, { subscriptionId = null, requested = 1 } = {}) => {
+  const { planId, entitlements } = await loadPlanEntitlements(db, userId);
+  const value = entitlements[key];
+
+  if (PLAN_ENTITLEMENTS[key] === 'flag') {
+    return { allowed: value === true, planId, limit: null, used: null, remaining: null };
+  }
+  if (PLAN_ENTITLEMENTS[key] === 'value') {
+    const limit = value ?? null;
+    return { allowed: limit === null || requested <= limit, planId, limit, used: null, remaining: null };
+  }
+
+  const used = await ENTITLEMENT_USAGE[key](db, userId, { subscriptionId });
+  if (value === null || value === undefined) {
+    return { allowed: true, planId, limit: null, used, remaining: null };
+  }
+  return { allowed: used + requested <= value, planId, limit: value, used, remaining: Math.max(value - used, 0) };
+};
+
+// Formato da cota devolvido ao cliente
+const formatQuota = ({ limit, used, remaining }) => ({ limit, used, remaining });
+
+// Ciclo atual da cota de reservas: calendário (dia 1º) no plano gratuito, aniversário da assinatura nos pagos
+const getQuotaCycle = async (db, userId) => {
+  const result = await db.query(
+    `SELECT inicio, inicio + interval '1 month' AS fim FROM (SELECT inicio_ciclo_cota($1) AS inicio) c`,
+    [userId]
+  );
+  return { start: result.rows[0].inicio, end: result.rows[0].fim };
+};
+
+// --- Pagamentos e Assinaturas de Planos ---
+// O checkout cria uma assinatura 'pendente' em plan_subscriptions e a entrega ao provedor de pagamento.
+// O provedor confirma (ou recusa) o pagamento pelo webhook; a assinatura paga fica 'ativa' por um período
+// e o job 'expire-plan-subscriptions' devolve ao plano 0 quem não renovou.
+// Meses de cada período pago. Cupons de período grátis ativam o plano por mais meses (plan_subscriptions.period_months).
+const PLAN_BILLING_MONTHS = 1;
+// Checkouts não pagos nesse prazo são descartados.
+const CHECKOUT_EXPIRATION_HOURS = 24;
+// Sem PAYMENT_PROVIDER configurado, o checkout de planos pagos fica desativado (503).
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || null;
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || null;
+
+/**
+ * Provedores de pagamento. Cada um implementa:
+ * - createCheckout({ subscriptionId, plan, amount, user }) => { reference, checkoutUrl }
+ * - parseWebhook(req) => { reference, status: 'pago' | 'falhou' } ou null se a requisição não for válida
+ * Só o provedor escolhido em PAYMENT_PROVIDER é registrado. Pix e cartão entram aqui como novos provedores.
+ */
+const PAYMENT_PROVIDERS = {};
+
+if (PAYMENT_PROVIDER === 'fake') {
+  // Provedor local para desenvolvimento e testes: não cobra nada e confirma o pagamento por um webhook
+  // assinado com HMAC (cabeçalho X-Fake-Signature) ou pela rota de simulação. Nunca configure em produção.
+  PAYMENT_PROVIDERS.fake = {
+    createCheckout: async ({ subscriptionId }) => {
+      const reference = `fake_${subscriptionId}_${crypto.randomBytes(6).toString('hex')}`;
+      const baseUrl = process.env.APP_BASE_URL || '';
+      return { reference, checkoutUrl: `${baseUrl}/checkout/fake/${reference}` };
+    },
+    parseWebhook: (req) => {
+      const signature = req.headers['x-fake-signature'];
+      if (!PAYMENT_WEBHOOK_SECRET || !signature || !req.rawBody) return null;
+      const expected = Buffer.from(crypto.createHmac('sha256', PAYMENT_WEBHOOK_SECRET).update(req.rawBody).digest('hex'));
+      const received = Buffer.from(String(signature));
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+      const { reference, status } = req.body || {};
+      if (!reference || !['pago', 'falhou'].includes(status)) return null;
+      return { reference, status };
+    }
+  };
+}
+
+const PLAN_SUBSCRIPTION_COLUMNS = 'id, plan_id, status, provider, amount, discount_amount, period_months, checkout_url, period_start, period_end, created_at';
+
+const formatPlanSubscription = (row) => ({
+  id: row.id,
+  planId: row.plan_id,
+  status: row.status,
+  provider: row.provider,
+  amount: Number(row.amount),
+  discount: Number(row.discount_amount),
+  months: row.period_months,
+  checkoutUrl: row.checkout_url,
+  periodStart: row.period_start,
+  periodEnd: row.period_end,
+  createdAt: row.created_at
 });
 
-app.get('/api/estabelecimentos', async (req, res) => {
-  const userLat = parseFloat(req.query.lat);
-  const userLng = parseFloat(req.query.lng);
+// --- Cupons de Desconto ---
+// Tipos de cupom: desconto percentual ou em reais sobre o primeiro período, ou meses grátis do plano.
+const PROMO_CODE_TYPES = ['percentual', 'valor_fixo', 'periodo_gratis'];
+const MAX_PROMO_FREE_MONTHS = 24;
+
+const normalizePromoCode = (code) => String(code).trim().toUpperCase();
+
+/**
+ * Confere se o cupom pode ser usado pelo usuário no plano escolhido e calcula o efeito.
+ * Retorna { promo, amount, discount, months } ou { error, status }.
+ */
+const resolvePromoCode = async (db, code, plan, userId) => {
+  const result = await db.query(
+    `SELECT pc.*,
+       (SELECT COUNT(*)::int FROM promo_redemptions pr WHERE pr.promo_code_id = pc.id) AS redemptions,
+       EXISTS (SELECT 1 FROM promo_redemptions pr WHERE pr.promo_code_id = pc.id AND pr.user_id = $2) AS already_redeemed,
+       EXISTS (SELECT 1 FROM plan_subscriptions ps WHERE ps.promo_code_id = pc.id AND ps.user_id = $2 AND ps.status = 'pendente') AS pending_checkout
+     FROM promo_codes pc WHERE pc.code = $1`,
+    [normalizePromoCode(code), userId]
+  );
+  const promo = result.rows[0];
+
+  if (!promo || !promo.is_active) {
+    return { status: 404, error: 'Cupom não encontrado.' };
+  }
+  if (promo.expires_at && promo.expires_at <= new Date()) {
+    return { status: 410, error: 'Este cupom expirou.' };
+  }
+  if (promo.plan_id !== null && promo.plan_id !== plan.id) {
+    return { status: 400, error: 'Este cupom não vale para este plano.' };
+  }
+  if (promo.already_redeemed) {
+    return { status: 409, error: 'Você já usou este cupom.' };
+  }
+  if (promo.pending_checkout) {
+    return { status: 409, error: 'Você já tem um pagamento com este cupom aguardando confirmação.' };
+  }
+  if (promo.max_redemptions !== null && promo.redemptions >= promo.max_redemptions) {
+    return { status: 409, error: 'Este cupom já atingiu o limite de usos.' };
+  }
+
+  // Valores em centavos para evitar erros de arredondamento
+  const priceCents = Math.round(Number(plan.price) * 100);
+  if (promo.type === 'periodo_gratis') {
+    return { promo, amount: 0, discount: (priceCents * promo.free_months) / 100, months: promo.free_months };
+  }
+  const discountCents = promo.type === 'percentual'
+    ? Math.round(priceCents * Number(promo.value) / 100)
+    : Math.min(Math.round(Number(promo.value) * 100), priceCents);
+  return { promo, amount: (priceCents - discountCents) / 100, discount: discountCents / 100, months: PLAN_BILLING_MONTHS };
+};
+
+/**
+ * Ativa uma assinatura (dentro da transação do chamador): o período começa agora ou, se o usuário já tem o mesmo
+ * plano ativo, no fim dele. A nova assinatura substitui as anteriores e o cupom usado, se houver, é registrado.
+ * O cupom é conferido de novo com a linha travada, porque vários checkouts podem ter sido abertos com ele: se já
+ * estiver esgotado, expirado ou usado pelo usuário, a assinatura fica 'falhou'.
+ * Retorna null se ativou ou a mensagem do motivo da recusa.
+ */
+const activatePlanSubscription = async (client, sub) => {
+  if (sub.promo_code_id) {
+    const promoResult = await client.query(
+      'SELECT code, max_redemptions, expires_at FROM promo_codes WHERE id = $1 FOR UPDATE',
+      [sub.promo_code_id]
+    );
+    const promo = promoResult.rows[0];
+    // Contagem em outra consulta, feita depois da trava, para enxergar os resgates de quem ativou antes
+    const usageResult = await client.query(
+      `SELECT COUNT(*)::int AS redemptions, COUNT(*) FILTER (WHERE user_id = $2) > 0 AS already_redeemed
+       FROM promo_redemptions WHERE promo_code_id = $1`,
+      [sub.promo_code_id, sub.user_id]
+    );
+    Object.assign(promo, usageResult.rows[0]);
+
+    let refusal = null;
+    if (promo.already_redeemed) {
+      refusal = 'Você já usou este cupom.';
+    } else if (promo.expires_at && promo.expires_at <= new Date()) {
+      refusal = 'Este cupom expirou.';
+    } else if (promo.max_redemptions !== null && promo.redemptions >= promo.max_redemptions) {
+      refusal = 'Este cupom já atingiu o limite de usos.';
+    }
+    if (refusal) {
+      await client.query(`UPDATE plan_subscriptions SET status = 'falhou', updated_at = NOW() WHERE id = $1`, [sub.id]);
+      console.warn(`⚠️ [CUPOM] Assinatura ${sub.id} do usuário ${sub.user_id} não ativada: cupom ${promo.code} recusado (${refusal})`);
+      return refusal;
+    }
+
+    // Sem ON CONFLICT: um segundo resgate do mesmo usuário derruba a transação inteira (23505)
+    await client.query(
+      `INSERT INTO promo_redemptions (promo_code_id, user_id, plan_subscription_id, plan_id, discount_amount)
+       SELECT promo_code_id, user_id, id, plan_id, discount_amount FROM plan_subscriptions WHERE id = $1`,
+      [sub.id]
+    );
+  }
+
+  await client.query(
+    `UPDATE plan_subscriptions ps
+     SET status = 'ativa', period_start = inicio.at, period_end = inicio.at + make_interval(months => ps.period_months), updated_at = NOW()
+     FROM (
+       SELECT GREATEST(NOW(), COALESCE(MAX(period_end), NOW())) AS at FROM plan_subscriptions
+       WHERE user_id = $2 AND plan_id = $3 AND status = 'ativa'
+     ) inicio
+     WHERE ps.id = $1`,
+    [sub.id, sub.user_id, sub.plan_id]
+  );
+  await client.query(
+    `UPDATE plan_subscriptions SET status = 'substituida', updated_at = NOW()
+     WHERE user_id = $1 AND status = 'ativa' AND id <> $2`,
+    [sub.user_id, sub.id]
+  );
+  await client.query('UPDATE users SET current_plan = $1 WHERE id = $2', [sub.plan_id, sub.user_id]);
+  return null;
+};
+
+/**
+ * Cria uma assinatura do plano. Com pagamento, ela fica pendente e é entregue ao provedor configurado
+ * (503 se não houver um); se um cupom zerar o valor (ex: meses grátis), ela é ativada na hora.
+ * Retorna { subscription, activated } ou { error, status } se o plano ou o cupom não puderem ser usados.
+ */
+const startPlanCheckout = async (userId, userRole, planId, promoCode = null) => {
+  const planResult = await pool.query('SELECT id, name, price, is_active, audience FROM plans WHERE id = $1', [planId]);
+  const plan = planResult.rows[0];
+  if (!plan || !plan.is_active) {
+    return { status: 404, error: 'Plano não encontrado ou indisponível.' };
+  }
+  if (plan.audience !== 'todos' && plan.audience !== planAudienceForRole(userRole)) {
+    return { status: 400, error: plan.audience === 'lojista' ? 'Este plano é exclusivo para lojistas.' : 'Este plano é exclusivo para clientes.' };
+  }
+  if (Number(plan.price) <= 0) {
+    return { status: 400, error: 'Este plano não precisa de pagamento.' };
+  }
+
+  let checkout = { promo: null, amount: Number(plan.price), discount: 0, months: PLAN_BILLING_MONTHS };
+  if (promoCode) {
+    checkout = await resolvePromoCode(pool, promoCode, plan, userId);
+    if (checkout.error) return checkout;
+  }
+
+  // Sem nada a pagar, a assinatura é ativada sem passar pelo provedor
+  if (checkout.amount === 0) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const insertResult = await client.query(
+        `INSERT INTO plan_subscriptions (user_id, plan_id, provider, amount, discount_amount, period_months, promo_code_id)
+         VALUES ($1, $2, 'cupom', 0, $3, $4, $5) RETURNING id, user_id, plan_id, promo_code_id`,
+        [userId, plan.id, checkout.discount, checkout.months, checkout.promo.id]
+      );
+      const refusal = await activatePlanSubscription(client, insertResult.rows[0]);
+      if (refusal) {
+        // Não guarda a assinatura recusada: nada foi cobrado
+        await client.query('ROLLBACK');
+        return { status: 409, error: refusal };
+      }
+      const result = await client.query(`SELECT ${PLAN_SUBSCRIPTION_COLUMNS} FROM plan_subscriptions WHERE id = $1`, [insertResult.rows[0].id]);
+      await client.query('COMMIT');
+      console.log(`✅ [CHECKOUT] Cupom ${checkout.promo.code} ativou o plano ${plan.id} por ${checkout.months} mês(es) para o usuário ${userId}.`);
+      return { subscription: formatPlanSubscription(result.rows[0]), activated: true };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      if (err.code === '23505') {
+        return { status: 409, error: 'Você já usou este cupom.' };
+      }
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  const provider = PAYMENT_PROVIDERS[PAYMENT_PROVIDER];
+  if (!provider) {
+    return { status: 503, error: 'Pagamentos indisponíveis no momento. Tente novamente mais tarde.' };
+  }
+
+  const insertResult = await pool.query(
+    `INSERT INTO plan_subscriptions (user_id, plan_id, provider, amount, discount_amount, period_months, promo_code_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+    [userId, plan.id, PAYMENT_PROVIDER, checkout.amount, checkout.discount, checkout.months, checkout.promo ? checkout.promo.id : null]
+  );
+  const subscriptionId = insertResult.rows[0].id;
+
+  const { reference, checkoutUrl } = await provider.createCheckout({ subscriptionId, plan, amount: checkout.amount, userId });
+  const result = await pool.query(
+    `UPDATE plan_subscriptions SET provider_reference = $1, checkout_url = $2, updated_at = NOW()
+     WHERE id = $3 RETURNING ${PLAN_SUBSCRIPTION_COLUMNS}`,
+    [reference, checkoutUrl, subscriptionId]
+  );
+  console.log(`[CHECKOUT] Assinatura ${subscriptionId} do plano ${plan.id} criada para o usuário ${userId} (${PAYMENT_PROVIDER}: ${reference}${checkout.promo ? `, cupom ${checkout.promo.code}` : ''}).`);
+  return { subscription: formatPlanSubscription(result.rows[0]), activated: false };
+};
+
+/**
+ * Aplica um evento de pagamento vindo do webhook. Só assinaturas pendentes mudam, então eventos repetidos não têm efeito.
+ * - 'pago': ativa o plano por um período. A renovação é um novo checkout do mesmo plano, e o novo período
+ *   começa no fim da assinatura anterior, se ela ainda estiver valendo.
+ * - 'falhou': marca como 'falhou'. Se era uma renovação, a assinatura anterior vence no fim do período.
+ */
+const applyPaymentEvent = async (provider, { reference, status }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const subResult = await client.query(
+      'SELECT id, user_id, plan_id, status, promo_code_id FROM plan_subscriptions WHERE provider = $1 AND provider_reference = $2 FOR UPDATE',
+      [provider, reference]
+    );
+    const sub = subResult.rows[0];
+    if (!sub) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (status === 'pago' && sub.status === 'pendente') {
+      const refusal = await activatePlanSubscription(client, sub);
+      if (!refusal) {
+        console.log(`✅ [PAGAMENTO] Assinatura ${sub.id} ativada: usuário ${sub.user_id} agora está no plano ${sub.plan_id}.`);
+      }
+    } else if (status === 'falhou' && sub.status === 'pendente') {
+      await client.query(`UPDATE plan_subscriptions SET status = 'falhou', updated_at = NOW() WHERE id = $1`, [sub.id]);
+      console.log(`⚠️ [PAGAMENTO] Pagamento da assinatura ${sub.id} recusado.`);
+    } else {
+      console.log(`[PAGAMENTO] Evento "${status}" ignorado para a assinatura ${sub.id} (status: ${sub.status}).`);
+    }
+
+    await client.query('COMMIT');
+    return sub.id;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// --- Rotas da API ---
+
+// Rota para fornecer a chave pública VAPID para o frontend
+app.get('/api/vapid-public-key', (req, res) => {
+  console.log('➡️  GET /api/vapid-public-key');
+  res.status(200).send(VAPID_PUBLIC_KEY);
+});
+
+app.get('/api/estabelecimentos', async (req, res) => {
+  const invalidParam = findNonStringQueryParam(req.query, ['lat', 'lng', 'tipo', 'busca', 'raio', 'abertoAgora', 'limit', 'offset']);
+  if (invalidParam) {
+    return res.status(400).json({ message: `O parâmetro ${invalidParam} deve ser informado uma única vez.` });
+  }
+
+  const userLat = parseFloat(req.query.lat);
+  const userLng = parseFloat(req.query.lng);
+  const hasCoords = !isNaN(userLat) && !isNaN(userLng);
+  const { tipo, busca } = req.query;
+  const raio = req.query.raio !== undefined ? parseFloat(req.query.raio) : null;
+  const abertoAgora = req.query.abertoAgora === 'true';
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : DEFAULT_PAGE_SIZE;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+
+  console.log(`➡️  GET /api/estabelecimentos para lat: ${userLat}, lng: ${userLng} (tipo: ${tipo || '-'}, busca: ${busca || '-'}, raio: ${raio ?? '-'}, abertoAgora: ${abertoAgora}, limit: ${limit}, offset: ${offset})`);
+
+  // Validação dos parâmetros de busca e paginação
+  if (raio !== null && (isNaN(raio) || raio <= 0)) {
+    return res.status(400).json({ message: 'O raio deve ser um número positivo (em km).' });
+  }
+  if (raio !== null && !hasCoords) {
+    return res.status(400).json({ message: 'Para filtrar por raio, informe também lat e lng.' });
+  }
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({ message: `O limit deve estar entre 1 e ${MAX_PAGE_SIZE}.` });
+  }
+  if (isNaN(offset) || offset < 0) {
+    return res.status(400).json({ message: 'O offset deve ser um número maior ou igual a zero.' });
+  }
+
+  // Monta a cláusula WHERE dinamicamente, mantendo todos os valores parametrizados.
+  // Estabelecimentos suspensos pela moderação não aparecem na busca.
+  const conditions = ['is_active'];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (tipo) {
+    conditions.push(`tipo = ANY(${addParam(tipo.split(',').map(t => t.trim()))}::text[])`);
+  }
+  if (busca) {
+    // O ILIKE usa o índice trigram criado sobre a mesma expressão em migrate.js
+    conditions.push(`${ESTABELECIMENTO_SEARCH_EXPR} ILIKE ${addParam(`%${escapeLike(busca)}%`)}`);
+  }
+  if (abertoAgora) {
+    conditions.push(`estabelecimento_aberto(id, ${SAO_PAULO_NOW_SQL})`);
+  }
+
+  if (hasCoords && raio !== null) {
+    const origin = `ll_to_earth(${addParam(userLat)}, ${addParam(userLng)})`;
+    const raioMetros = addParam(raio * 1000);
+    // earth_box aproveita o índice espacial; earth_distance descarta os cantos da caixa fora do círculo
+    conditions.push(`earth_box(${origin}, ${raioMetros}) @> ll_to_earth(latitude, longitude)`);
+    conditions.push(`earth_distance(${origin}, ll_to_earth(latitude, longitude)) <= ${raioMetros}`);
+  }
+
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+  const countParams = [...params];
+
+  let distanceColumn = '';
+  let orderBy = 'ORDER BY id';
+  if (hasCoords) {
+    const origin = `ll_to_earth(${addParam(userLat)}, ${addParam(userLng)})`;
+    distanceColumn = `, earth_distance(${origin}, ll_to_earth(latitude, longitude)) / 1000 AS distancia_km`;
+    // O operador <-> permite que o índice GiST devolva os registros já ordenados por proximidade
+    orderBy = `ORDER BY ll_to_earth(latitude, longitude) <-> ${origin}, id`;
+  }
+
+  try {
+    const listQuery = `
+      SELECT id, nome, tipo, latitude, longitude, details,
+        ${openingStatusColumns('id')}${distanceColumn}
+      FROM estabelecimentos
+      ${whereClause}
+      ${orderBy}
+      LIMIT ${addParam(limit)} OFFSET ${addParam(offset)}
+    `;
+    const [result, countResult] = await Promise.all([
+      pool.query(listQuery, params),
+      pool.query(`SELECT COUNT(*) AS total FROM estabelecimentos ${whereClause}`, countParams)
+    ]);
+    const total = parseInt(countResult.rows[0].total, 10);
+    console.log(`[DB] Encontrados ${result.rowCount} de ${total} estabelecimentos.`);
+    const proximasFornadas = await loadProximasFornadas(result.rows.map(row => row.id));
+
+    // Remonta o objeto completo que o frontend espera
+    const estabelecimentos = result.rows.map(row => ({
+      id: row.id,
+      nome: row.nome,
+      tipo: row.tipo,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      ...row.details, // Combina com os detalhes do JSONB (horario, endereco, etc.)
+      proximaFornada: proximasFornadas.get(row.id),
+      isOpen: row.is_open,
+      nextOpening: row.next_opening,
+      // A distância só é calculada se as coordenadas do usuário foram fornecidas
+      ...(hasCoords && { distanciaKm: row.distancia_km })
+    }));
+
+    // O total de resultados vai no cabeçalho para manter o corpo da resposta como uma lista simples
+    res.set('X-Total-Count', String(total));
+    res.status(200).json(estabelecimentos);
+  } catch (err) {
+    console.error('❌ Erro ao buscar estabelecimentos:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar estabelecimentos.' });
+  }
+});
+
+app.get('/api/estabelecimentos/:id', async (req, res) => {
+  const { id } = req.params;
+  console.log(`➡️  GET /api/estabelecimentos/${id}`);
+
+  try {
+    const query = `
+      SELECT id, nome, tipo, latitude, longitude, details, notification_lead_times, ${openingStatusColumns('id')}
+      FROM estabelecimentos
+      WHERE id = $1 AND is_active
+    `;
+    const result = await pool.query(query, [id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado.' });
+    }
+
+    const row = result.rows[0];
+    const [{ openingHours, hourExceptions }, fornadas, proximasFornadas] = await Promise.all([
+      loadOpeningHours(id),
+      loadFornadas(id),
+      loadProximasFornadas([row.id])
+    ]);
+
+    // Remonta o objeto completo que o frontend espera
+    const estabelecimento = {
+      id: row.id,
+      nome: row.nome,
+      tipo: row.tipo,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      ...row.details,
+      proximaFornada: proximasFornadas.get(row.id),
+      fornadas,
+      isOpen: row.is_open,
+      nextOpening: row.next_opening,
+      openingHours,
+      hourExceptions,
+      notificationLeadTimes: row.notification_lead_times
+    };
+
+    res.status(200).json(estabelecimento);
+  } catch (err) {
+    console.error(`❌ Erro ao buscar o estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar o estabelecimento.' });
+  }
+});
+
+// --- Sessões e Tokens de Acesso ---
+// O login abre uma sessão (user_sessions) e devolve um token de acesso curto junto com um refresh token.
+// O refresh token é trocado a cada uso (rotação) e só o seu hash fica no banco. Reapresentar um refresh token
+// já trocado indica vazamento: a sessão inteira é encerrada.
+const ACCESS_TOKEN_EXPIRES_IN_SECONDS = 15 * 60;
+const envRefreshDays = parseInt(process.env.REFRESH_TOKEN_DAYS, 10);
+const REFRESH_TOKEN_DAYS = !isNaN(envRefreshDays) && envRefreshDays > 0 ? envRefreshDays : 30;
+
+const hashRefreshToken = (refreshToken) => crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+// Dados do usuário e do plano atual usados no token de acesso.
+const TOKEN_USER_QUERY = `
+  SELECT
+    u.id, u.email, u.name, u.role, u.is_active,
+    p.id as plan_id, p.name as plan_name, p.description as plan_description, p.benefits as plan_benefits, p.entitlements as plan_entitlements, p.price as plan_price
+  FROM
+    users u
+  LEFT JOIN
+    plans p ON u.current_plan = p.id
+  WHERE u.id = $1`;
+
+const signAccessToken = (user, sessionId) => {
+  // Monta o objeto do plano para o JWT
+  const plan = user.plan_id ? {
+    id: user.plan_id,
+    name: user.plan_name,
+    description: user.plan_description,
+    benefits: user.plan_benefits,
+    entitlements: user.plan_entitlements,
+    price: user.plan_price
+  } : null;
+
+  return jwt.sign(
+    { userId: user.id, email: user.email, name: user.name, role: user.role, plan: plan, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN_SECONDS }
+  );
+};
+
+const formatSessionTokens = (user, sessionId, refreshToken) => ({
+  token: signAccessToken(user, sessionId),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN_SECONDS
+});
+
+// Abre uma sessão nova para o usuário e devolve o par de tokens.
+const createUserSession = async (db, user, req) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4))
+     RETURNING id`,
+    [user.id, hashRefreshToken(refreshToken), (req.headers['user-agent'] || '').slice(0, 255) || null, REFRESH_TOKEN_DAYS]
+  );
+  // Aproveita para limpar sessões vencidas ou encerradas há muito tempo deste usuário
+  await db.query(
+    `DELETE FROM user_sessions
+     WHERE user_id = $1 AND (expires_at < NOW() OR revoked_at < NOW() - make_interval(days => $2))`,
+    [user.id, REFRESH_TOKEN_DAYS]
+  );
+  return formatSessionTokens(user, result.rows[0].id, refreshToken);
+};
+
+// Encerra todas as sessões do usuário e invalida qualquer token de acesso já emitido para ele.
+const revokeUserSessions = async (db, userId, reason) => {
+  await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+  await db.query('UPDATE users SET tokens_valid_after = NOW() WHERE id = $1', [userId]);
+};
+
+// Confere se o token de acesso ainda vale: a conta precisa estar ativa, a sessão (sid) aberta e o token
+// emitido depois do último "sair de todos os dispositivos". Tokens antigos, sem sid, valem até expirar.
+// O perfil vem do banco, então uma mudança feita pelo admin vale na hora.
+// Retorna o usuário para req.user ou { status, message } quando o token deve ser recusado.
+const loadAuthenticatedUser = async (decoded) => {
+  const result = await pool.query(
+    `SELECT u.role, u.is_active, u.tokens_valid_after, s.id as session_id, s.revoked_at, s.expires_at
+     FROM users u
+     LEFT JOIN user_sessions s ON s.id = $2 AND s.user_id = u.id
+     WHERE u.id = $1`,
+    [decoded.userId, decoded.sid || null]
+  );
+  const row = result.rows[0];
+
+  if (!row) {
+    return { status: 401, message: 'Sessão encerrada. Faça login novamente.' };
+  }
+  if (!row.is_active) {
+    return { status: 403, message: 'Esta conta foi desativada.' };
+  }
+  if (decoded.sid && (!row.session_id || row.revoked_at || row.expires_at <= new Date())) {
+    return { status: 401, message: 'Sessão encerrada. Faça login novamente.' };
+  }
+  if (row.tokens_valid_after && decoded.iat < Math.floor(row.tokens_valid_after.getTime() / 1000)) {
+    return { status: 401, message: 'Sessão encerrada. Faça login novamente.' };
+  }
+  return { user: { ...decoded, role: row.role } };
+};
+
+// Middleware para rotas que exigem autenticação
+const authRequired = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader) {
+    return res.status(401).json({ message: 'Token de autenticação não fornecido.' });
+  }
+  const token = authHeader.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ message: 'Token mal formatado.' });
+  }
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ message: 'Token inválido ou expirado.' });
+  }
+
+  try {
+    const session = await loadAuthenticatedUser(decoded);
+    if (!session.user) {
+      return res.status(session.status).json({ message: session.message });
+    }
+    req.user = session.user;
+  } catch (err) {
+    console.error('❌ Erro ao validar a sessão:', err.stack);
+    return res.status(500).json({ message: 'Erro interno do servidor.' });
+  }
+  next();
+};
+
+// Middleware para rotas que exigem perfil de lojista
+const lojistaRequired = (req, res, next) => {
+  // Primeiro, verifica se o usuário está autenticado
+  authRequired(req, res, () => {
+    // Se autenticado, verifica se o perfil é 'lojista'
+    if (req.user && req.user.role === 'lojista') {
+      next();
+    } else {
+      res.status(403).json({ message: 'Acesso negado. Rota exclusiva para lojistas.' });
+    }
+  });
+};
+
+// Perfis de usuário. O perfil 'admin' não pode ser escolhido no cadastro, só atribuído por outro admin.
+const USER_ROLES = ['cliente', 'lojista', 'admin'];
+
+// Middleware para rotas exclusivas de administradores.
+const adminRequired = (req, res, next) => {
+  authRequired(req, res, () => {
+    if (req.user && req.user.role === 'admin') {
+      next();
+    } else {
+      res.status(403).json({ message: 'Acesso negado. Rota exclusiva para administradores.' });
+    }
+  });
+};
+
+// --- Middleware para autenticação opcional ---
+// Este middleware verifica se há um token, decodifica-o e anexa o usuário à requisição (req.user).
+// Se não houver token, ele simplesmente continua, permitindo o acesso anônimo.
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader) {
+    return next(); // Nenhum token, continua como anônimo
+  }
+
+  const token = authHeader.split(' ')[1]; // Formato "Bearer TOKEN"
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await loadAuthenticatedUser(decoded);
+    if (session.user) {
+      req.user = session.user; // Anexa os dados do usuário (ex: { userId: 1, email: '...' })
+    } else {
+      console.warn('Token de sessão encerrada recebido:', session.message);
+    }
+  } catch (err) {
+    // Token inválido ou expirado, ignora e continua como anônimo
+    console.warn('Token inválido recebido:', err.message);
+  }
+  next();
+};
+
+app.post('/api/estabelecimentos', lojistaRequired, async (req, res) => {
+  console.log('➡️  POST /api/estabelecimentos - Criando novo estabelecimento...');
+  const { nome, tipo, latitude, longitude } = req.body;
+  const userId = req.user.userId; // Pega o ID do usuário logado (do token)
+
+  // Validação básica dos dados recebidos
+  if (!nome || !tipo || !latitude || !longitude || !req.body.details) {
+    return res.status(400).json({ message: 'Dados incompletos para o cadastro.' });
+  }
+
+  // Clientes antigos ainda enviam as fornadas em details.proximaFornada; elas viram registros na tabela fornadas.
+  const { details, legacyFornadas } = extractLegacyFornadas(req.body.details);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Confere o limite de estabelecimentos do plano. O bloqueio do usuário serializa cadastros simultâneos.
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const establishmentQuota = await checkEntitlement(client, userId, 'maxEstablishments');
+    if (!establishmentQuota.allowed) {
+      console.log(`[ESTABELECIMENTO] Bloqueado: lojista ${userId} atingiu o limite de ${establishmentQuota.limit} estabelecimentos do plano ${establishmentQuota.planId}.`);
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        title: 'Limite de Estabelecimentos Atingido',
+        message: `Seu plano permite cadastrar até ${establishmentQuota.limit} estabelecimento(s). Conheça os planos para lojistas e cadastre todas as suas lojas!`,
+        limitReached: true,
+        quota: formatQuota(establishmentQuota)
+      });
+    }
+
+    const insertQuery = `
+      INSERT INTO estabelecimentos (nome, tipo, latitude, longitude, details, user_id) 
+      VALUES ($1, $2, $3, $4, $5, $6) 
+      RETURNING *;
+    `;
+    const result = await client.query(insertQuery, [nome, tipo, latitude, longitude, details, userId]);
+    const novoEstabelecimento = result.rows[0];
+
+    for (const fornada of legacyFornadas) {
+      await client.query(
+        'INSERT INTO fornadas (estabelecimento_id, time, description, legacy_id) VALUES ($1, $2, $3, $4)',
+        [novoEstabelecimento.id, fornada.time, fornada.description || null, fornada.id ? String(fornada.id) : null]
+      );
+    }
+    await client.query('COMMIT');
+    const proximasFornadas = await loadProximasFornadas([novoEstabelecimento.id]);
+
+    // Remonta o objeto para a resposta, similar ao GET
+    const responseEstabelecimento = {
+      id: novoEstabelecimento.id,
+      nome: novoEstabelecimento.nome,
+      tipo: novoEstabelecimento.tipo,
+      latitude: novoEstabelecimento.latitude,
+      longitude: novoEstabelecimento.longitude,
+      ...novoEstabelecimento.details,
+      proximaFornada: proximasFornadas.get(novoEstabelecimento.id)
+    };
+
+    console.log(`✅ Estabelecimento "${nome}" (ID: ${novoEstabelecimento.id}) criado com sucesso.`);
+    res.status(201).json(responseEstabelecimento);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Erro ao criar novo estabelecimento:', err.stack);
+    res.status(500).json({ message: 'Erro ao salvar o estabelecimento no banco de dados.' });
+  } finally {
+    client.release();
+  }
+});
+
+app.put('/api/estabelecimentos/:id', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  const { nome, tipo, latitude, longitude } = req.body;
+
+  console.log(`➡️  PUT /api/estabelecimentos/${id} para o usuário ${userId}`);
+
+  if (!nome || !tipo || !latitude || !longitude || !req.body.details) {
+    return res.status(400).json({ message: 'Dados incompletos para a atualização.' });
+  }
+
+  // As fornadas são editadas pelas rotas /api/estabelecimentos/:id/fornadas. Clientes antigos reenviam
+  // details.proximaFornada junto com os outros campos: sem mudanças ele é ignorado, com mudanças a edição é recusada
+  // para não ser descartada em silêncio.
+  const { details } = extractLegacyFornadas(req.body.details);
+
+  try {
+    if (req.body.details.proximaFornada !== undefined) {
+      if (!(await isEstabelecimentoOwner(id, userId))) {
+        return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+      }
+      const fornadasDeHoje = (await loadProximasFornadas([Number(id)])).get(Number(id));
+      if (!isUnchangedLegacyFornadaList(req.body.details.proximaFornada, fornadasDeHoje)) {
+        console.log(`[ESTABELECIMENTO] Edição de details.proximaFornada recusada no estabelecimento ${id}.`);
+        return res.status(400).json({
+          message: `details.proximaFornada não pode mais ser alterado por esta rota. Use /api/estabelecimentos/${id}/fornadas para editar as fornadas.`
+        });
+      }
+    }
+
+    const updateQuery = `
+      UPDATE estabelecimentos
+      SET nome = $1, tipo = $2, latitude = $3, longitude = $4, details = $5
+      WHERE id = $6 AND user_id = $7
+      RETURNING *;
+    `;
+    const result = await pool.query(updateQuery, [nome, tipo, latitude, longitude, details, id, userId]);
+
+    if (result.rowCount === 0) {
+      // Isso pode significar que o estabelecimento não existe ou não pertence ao usuário.
+      // Por segurança, retornamos 404 em ambos os casos para não vazar informações.
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+
+    const updatedEstabelecimento = result.rows[0];
+    const proximasFornadas = await loadProximasFornadas([updatedEstabelecimento.id]);
+
+    // Remonta o objeto para a resposta
+    const responseEstabelecimento = {
+      id: updatedEstabelecimento.id,
+      nome: updatedEstabelecimento.nome,
+      tipo: updatedEstabelecimento.tipo,
+      latitude: updatedEstabelecimento.latitude,
+      longitude: updatedEstabelecimento.longitude,
+      ...updatedEstabelecimento.details,
+      proximaFornada: proximasFornadas.get(updatedEstabelecimento.id)
+    };
+
+    console.log(`✅ Estabelecimento ID ${id} atualizado com sucesso.`);
+    res.status(200).json(responseEstabelecimento);
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar o estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar o estabelecimento.' });
+  }
+});
+
+app.delete('/api/estabelecimentos/:id', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  console.log(`➡️  DELETE /api/estabelecimentos/${id} pelo usuário ${userId}`);
+
+  try {
+    const result = await pool.query('DELETE FROM estabelecimentos WHERE id = $1 AND user_id = $2', [id, userId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para excluí-lo.' });
+    }
+
+    console.log(`✅ Estabelecimento ID ${id} excluído com sucesso.`);
+    res.status(204).send(); // 204 No Content é a resposta padrão para exclusões bem-sucedidas.
+  } catch (err) {
+    console.error(`❌ Erro ao excluir o estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao excluir o estabelecimento.' });
+  }
+});
+
+// --- ROTAS DE HORÁRIO DE FUNCIONAMENTO ---
+
+// Rota pública para consultar o horário semanal e as exceções de um estabelecimento
+app.get('/api/estabelecimentos/:id/horarios', async (req, res) => {
+  const { id } = req.params;
+  console.log(`➡️  GET /api/estabelecimentos/${id}/horarios`);
+
+  try {
+    const exists = await pool.query('SELECT id FROM estabelecimentos WHERE id = $1', [id]);
+    if (exists.rowCount === 0) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado.' });
+    }
+
+    res.status(200).json(await loadOpeningHours(id));
+  } catch (err) {
+    console.error(`❌ Erro ao buscar horários do estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os horários.' });
+  }
+});
+
+// Rota para o lojista substituir o horário semanal do estabelecimento
+app.put('/api/estabelecimentos/:id/horarios', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  const { openingHours } = req.body;
+
+  console.log(`➡️  PUT /api/estabelecimentos/${id}/horarios pelo usuário ${userId}`);
+
+  const validWeekdays = Array.isArray(openingHours)
+    && openingHours.every(item => item && Number.isInteger(item.weekday) && item.weekday >= 0 && item.weekday <= 6);
+  if (!validWeekdays || !isValidShiftList(openingHours)) {
+    return res.status(400).json({ message: 'Informe os turnos como { weekday (0-6), opensAt, closesAt } no formato HH:MM.' });
+  }
+
+  const client = await pool.connect();
+  try {
+    if (!(await isEstabelecimentoOwner(id, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+
+    await client.query('BEGIN');
+    await client.query('DELETE FROM establishment_hours WHERE estabelecimento_id = $1', [id]);
+    for (const shift of openingHours) {
+      await client.query(
+        'INSERT INTO establishment_hours (estabelecimento_id, weekday, opens_at, closes_at) VALUES ($1, $2, $3, $4)',
+        [id, shift.weekday, shift.opensAt, shift.closesAt]
+      );
+    }
+    await client.query('COMMIT');
+
+    console.log(`✅ Horário semanal do estabelecimento ${id} atualizado com ${openingHours.length} turno(s).`);
+    res.status(200).json(await loadOpeningHours(id));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Erro ao atualizar horários do estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar os horários.' });
+  } finally {
+    client.release();
+  }
+});
+
+// Rota para o lojista cadastrar uma exceção de horário (feriado, férias, horário especial)
+app.post('/api/estabelecimentos/:id/horarios/excecoes', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  const { startDate, description } = req.body;
+  const endDate = req.body.endDate || startDate;
+  // Sem turnos informados, a exceção fecha o estabelecimento nos dias do intervalo.
+  const shifts = req.body.shifts || [];
+
+  console.log(`➡️  POST /api/estabelecimentos/${id}/horarios/excecoes pelo usuário ${userId}`);
+
+  if (!DATE_REGEX.test(startDate || '') || !DATE_REGEX.test(endDate) || endDate < startDate) {
+    return res.status(400).json({ message: 'Informe startDate (e opcionalmente endDate) no formato AAAA-MM-DD.' });
+  }
+  if (!isValidShiftList(shifts)) {
+    return res.status(400).json({ message: 'Os turnos devem ter opensAt e closesAt no formato HH:MM.' });
+  }
+
+  try {
+    if (!(await isEstabelecimentoOwner(id, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO establishment_hour_exceptions (estabelecimento_id, start_date, end_date, shifts, description)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [id, startDate, endDate, JSON.stringify(shifts.map(({ opensAt, closesAt }) => ({ opensAt, closesAt }))), description || null]
+    );
+
+    console.log(`✅ Exceção de horário ${result.rows[0].id} criada para o estabelecimento ${id} (${startDate} a ${endDate}).`);
+    res.status(201).json({
+      id: result.rows[0].id,
+      startDate,
+      endDate,
+      shifts,
+      closed: shifts.length === 0,
+      description: description || null
+    });
+  } catch (err) {
+    console.error(`❌ Erro ao criar exceção de horário para o estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao salvar a exceção de horário.' });
+  }
+});
+
+// Rota para o lojista remover uma exceção de horário
+app.delete('/api/estabelecimentos/:id/horarios/excecoes/:excecaoId', lojistaRequired, async (req, res) => {
+  const { id, excecaoId } = req.params;
+  const userId = req.user.userId;
+
+  console.log(`➡️  DELETE /api/estabelecimentos/${id}/horarios/excecoes/${excecaoId} pelo usuário ${userId}`);
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM establishment_hour_exceptions x
+       USING estabelecimentos e
+       WHERE x.id = $1 AND x.estabelecimento_id = $2 AND e.id = x.estabelecimento_id AND e.user_id = $3`,
+      [excecaoId, id, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Exceção não encontrada ou você não tem permissão para excluí-la.' });
+    }
+
+    console.log(`✅ Exceção de horário ${excecaoId} removida.`);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro ao remover exceção de horário ${excecaoId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao remover a exceção de horário.' });
+  }
+});
+
+// --- ROTAS DE FORNADAS ---
+
+// Rota pública para consultar a agenda de fornadas de um estabelecimento
+app.get('/api/estabelecimentos/:id/fornadas', async (req, res) => {
+  const { id } = req.params;
+  console.log(`➡️  GET /api/estabelecimentos/${id}/fornadas`);
+
+  try {
+    const exists = await pool.query('SELECT id FROM estabelecimentos WHERE id = $1', [id]);
+    if (exists.rowCount === 0) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado.' });
+    }
+
+    res.status(200).json(await loadFornadas(id));
+  } catch (err) {
+    console.error(`❌ Erro ao buscar fornadas do estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar as fornadas.' });
+  }
+});
+
+// Rota para o lojista cadastrar uma fornada recorrente (weekdays) ou avulsa (date)
+app.post('/api/estabelecimentos/:id/fornadas', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  const { time, description, weekdays = null, date = null, capacity = null, productIds = [], tags = [] } = req.body;
+
+  console.log(`➡️  POST /api/estabelecimentos/${id}/fornadas pelo usuário ${userId}`);
+
+  const validationError = validateFornadaInput({ time, weekdays, date, capacity, productIds, tags });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  const client = await pool.connect();
+  try {
+    if (!(await isEstabelecimentoOwner(id, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+    if (!(await productsBelongToEstabelecimento(client, productIds, id))) {
+      return res.status(400).json({ message: 'Algum dos produtos informados não pertence a este estabelecimento.' });
+    }
+
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO fornadas (estabelecimento_id, time, description, weekdays, date, capacity, tags)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [id, time, description || null, weekdays, date, capacity, normalizeTags(tags)]
+    );
+    const fornadaId = result.rows[0].id;
+    await saveFornadaProducts(client, fornadaId, productIds);
+    await client.query('COMMIT');
+
+    const fornada = await loadFornada(fornadaId);
+
+    console.log(`✅ Fornada ${fornadaId} (${time}) criada para o estabelecimento ${id}.`);
+    res.status(201).json(fornada);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Erro ao criar fornada para o estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao salvar a fornada.' });
+  } finally {
+    client.release();
+  }
+});
+
+// Rota para o lojista editar uma fornada. active = false pausa a fornada até ser reativada.
+// Sem productIds ou tags, os produtos e etiquetas da fornada são mantidos.
+app.put('/api/estabelecimentos/:id/fornadas/:fornadaId', lojistaRequired, async (req, res) => {
+  const { id, fornadaId } = req.params;
+  const userId = req.user.userId;
+  const { time, description, weekdays, date, active, capacity, productIds, tags } = req.body;
+
+  console.log(`➡️  PUT /api/estabelecimentos/${id}/fornadas/${fornadaId} pelo usuário ${userId}`);
+
+  const validationError = validateFornadaInput({ time, weekdays, date, capacity, productIds, tags, active }, { partial: true });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  // Campos omitidos mantêm o valor atual; null limpa description, weekdays, date e capacity.
+  const columns = {};
+  if (time !== undefined) columns.time = time;
+  if (description !== undefined) columns.description = description || null;
+  if (weekdays !== undefined) columns.weekdays = weekdays;
+  if (date !== undefined) columns.date = date;
+  // A fornada é recorrente ou avulsa: informar um dos dois limpa o outro
+  if (weekdays != null && date === undefined) columns.date = null;
+  if (date != null && weekdays === undefined) columns.weekdays = null;
+  if (active !== undefined) columns.is_active = active;
+  if (capacity !== undefined) columns.capacity = capacity;
+  if (tags !== undefined) columns.tags = normalizeTags(tags);
+  const names = Object.keys(columns);
+
+  const client = await pool.connect();
+  try {
+    if (productIds && !(await productsBelongToEstabelecimento(client, productIds, id))) {
+      return res.status(400).json({ message: 'Algum dos produtos informados não pertence a este estabelecimento.' });
+    }
+
+    await client.query('BEGIN');
+    // Mesmo quando só os produtos mudam, o UPDATE confere se a fornada é do lojista
+    const result = await client.query(
+      `UPDATE fornadas f
+       SET ${names.length > 0 ? names.map((name, i) => `${name} = $${i + 4}`).join(', ') : 'time = f.time'}
+       FROM estabelecimentos e
+       WHERE f.id = $1 AND f.estabelecimento_id = $2 AND e.id = f.estabelecimento_id AND e.user_id = $3`,
+      [fornadaId, id, userId, ...Object.values(columns)]
+    );
+
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Fornada não encontrada ou você não tem permissão para editá-la.' });
+    }
+
+    if (productIds) {
+      await saveFornadaProducts(client, fornadaId, productIds);
+    }
+    await client.query('COMMIT');
+
+    const fornada = await loadFornada(fornadaId);
+    console.log(`✅ Fornada ${fornadaId} atualizada.`);
+    res.status(200).json(fornada);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Erro ao atualizar a fornada ${fornadaId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar a fornada.' });
+  } finally {
+    client.release();
+  }
+});
+
+// Rota para o lojista excluir uma fornada
+app.delete('/api/estabelecimentos/:id/fornadas/:fornadaId', lojistaRequired, async (req, res) => {
+  const { id, fornadaId } = req.params;
+  const userId = req.user.userId;
+
+  console.log(`➡️  DELETE /api/estabelecimentos/${id}/fornadas/${fornadaId} pelo usuário ${userId}`);
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM fornadas f
+       USING estabelecimentos e
+       WHERE f.id = $1 AND f.estabelecimento_id = $2 AND e.id = f.estabelecimento_id AND e.user_id = $3`,
+      [fornadaId, id, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Fornada não encontrada ou você não tem permissão para excluí-la.' });
+    }
+
+    console.log(`✅ Fornada ${fornadaId} excluída.`);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro ao excluir a fornada ${fornadaId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao excluir a fornada.' });
+  }
+});
+
+// Rota para o lojista cancelar uma única ocorrência (data) de uma fornada
+app.post('/api/estabelecimentos/:id/fornadas/:fornadaId/cancelamentos', lojistaRequired, async (req, res) => {
+  const { id, fornadaId } = req.params;
+  const userId = req.user.userId;
+  const { date } = req.body;
+
+  console.log(`➡️  POST /api/estabelecimentos/${id}/fornadas/${fornadaId}/cancelamentos (${date}) pelo usuário ${userId}`);
+
+  if (!DATE_REGEX.test(date || '')) {
+    return res.status(400).json({ message: 'Informe a data da ocorrência (date) no formato AAAA-MM-DD.' });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO fornada_cancellations (fornada_id, date)
+       SELECT f.id, $1
+       FROM fornadas f
+       JOIN estabelecimentos e ON e.id = f.estabelecimento_id
+       WHERE f.id = $2 AND f.estabelecimento_id = $3 AND e.user_id = $4
+       ON CONFLICT (fornada_id, date) DO NOTHING
+       RETURNING fornada_id`,
+      [date, fornadaId, id, userId]
+    );
+
+    if (result.rowCount === 0) {
+      // Nada inserido: a fornada não pertence ao lojista ou a ocorrência já estava cancelada.
+      const owned = await pool.query(
+        'SELECT f.id FROM fornadas f JOIN estabelecimentos e ON e.id = f.estabelecimento_id WHERE f.id = $1 AND f.estabelecimento_id = $2 AND e.user_id = $3',
+        [fornadaId, id, userId]
+      );
+      if (owned.rowCount === 0) {
+        return res.status(404).json({ message: 'Fornada não encontrada ou você não tem permissão para editá-la.' });
+      }
+    }
+
+    console.log(`✅ Ocorrência de ${date} da fornada ${fornadaId} cancelada.`);
+    res.status(201).json({ fornadaId: Number(fornadaId), date });
+  } catch (err) {
+    console.error(`❌ Erro ao cancelar ocorrência da fornada ${fornadaId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao cancelar a ocorrência da fornada.' });
+  }
+});
+
+// Rota para o lojista desfazer o cancelamento de uma ocorrência
+app.delete('/api/estabelecimentos/:id/fornadas/:fornadaId/cancelamentos/:date', lojistaRequired, async (req, res) => {
+  const { id, fornadaId, date } = req.params;
+  const userId = req.user.userId;
+
+  console.log(`➡️  DELETE /api/estabelecimentos/${id}/fornadas/${fornadaId}/cancelamentos/${date} pelo usuário ${userId}`);
+
+  if (!DATE_REGEX.test(date)) {
+    return res.status(400).json({ message: 'A data deve estar no formato AAAA-MM-DD.' });
+  }
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM fornada_cancellations c
+       USING fornadas f, estabelecimentos e
+       WHERE c.fornada_id = $1 AND c.date = $2
+         AND f.id = c.fornada_id AND f.estabelecimento_id = $3
+         AND e.id = f.estabelecimento_id AND e.user_id = $4`,
+      [fornadaId, date, id, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Cancelamento não encontrado ou você não tem permissão para removê-lo.' });
+    }
+
+    console.log(`✅ Ocorrência de ${date} da fornada ${fornadaId} restaurada.`);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro ao restaurar ocorrência da fornada ${fornadaId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao restaurar a ocorrência da fornada.' });
+  }
+});
+
+// Rota para o lojista escolher com quantos minutos de antecedência os inscritos são avisados das fornadas
+app.put('/api/estabelecimentos/:id/notificacoes', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  const { leadTimes } = req.body;
+
+  console.log(`➡️  PUT /api/estabelecimentos/${id}/notificacoes pelo usuário ${userId}: ${JSON.stringify(leadTimes)}`);
+
+  if (!isValidLeadTimeList(leadTimes, MAX_NOTIFICATION_LEAD_TIMES)) {
+    return res.status(400).json({
+      message: `leadTimes deve ser uma lista de até ${MAX_NOTIFICATION_LEAD_TIMES} antecedências diferentes, em minutos, entre 0 (saiu agora) e ${MAX_NOTIFICATION_LEAD_MINUTES}.`
+    });
+  }
+
+  try {
+    const sortedLeadTimes = [...leadTimes].sort((a, b) => b - a);
+    const result = await pool.query(
+      'UPDATE estabelecimentos SET notification_lead_times = $1 WHERE id = $2 AND user_id = $3 RETURNING notification_lead_times',
+      [sortedLeadTimes, id, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+
+    console.log(`✅ Antecedência dos avisos do estabelecimento ${id} atualizada.`);
+    res.status(200).json({ leadTimes: result.rows[0].notification_lead_times });
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar os avisos do estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao salvar as configurações de notificação.' });
+  }
+});
+
+// Rota para o lojista ver o resultado das notificações do estabelecimento: envios, falhas, cliques e reservas geradas
+app.get('/api/estabelecimentos/:id/notificacoes/estatisticas', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    // O plano define até quantos dias atrás as estatísticas podem ser consultadas
+    const retention = await checkEntitlement(pool, userId, 'analyticsRetentionDays');
+    const dias = req.query.dias === undefined ? Math.min(30, retention.limit ?? 30) : parseInt(req.query.dias, 10);
+
+    console.log(`➡️  GET /api/estabelecimentos/${id}/notificacoes/estatisticas (últimos ${dias} dias) pelo usuário ${userId}`);
+
+    if (isNaN(dias) || dias < 1 || dias > 365) {
+      return res.status(400).json({ message: 'dias deve ser um número entre 1 e 365.' });
+    }
+    if (retention.limit !== null && dias > retention.limit) {
+      return res.status(403).json({
+        title: 'Histórico Limitado pelo Plano',
+        message: `Seu plano mostra as estatísticas dos últimos ${retention.limit} dias. Conheça os planos para lojistas para ver um histórico maior!`,
+        limitReached: true,
+        retentionDays: retention.limit
+      });
+    }
+
+    if (!(await isEstabelecimentoOwner(id, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+
+    const query = `
+      SELECT n.type, n.lead_minutes,
+        COUNT(DISTINCT n.id)::int AS notifications,
+        COUNT(q.id)::int AS recipients,
+        COUNT(q.id) FILTER (WHERE q.status = 'enviado')::int AS sent,
+        COUNT(q.id) FILTER (WHERE q.status IN ('falhou', 'expirada'))::int AS failed,
+        COUNT(q.id) FILTER (WHERE q.clicked_at IS NOT NULL)::int AS clicked,
+        (SELECT COUNT(*)::int FROM reservations r
+         JOIN notifications rn ON rn.id = r.notification_id
+         WHERE rn.estabelecimento_id = $1 AND rn.type = n.type AND rn.lead_minutes IS NOT DISTINCT FROM n.lead_minutes
+           AND rn.created_at > NOW() - make_interval(days => $2)) AS reservations
+      FROM notifications n
+      LEFT JOIN push_queue q ON q.notification_id = n.id
+      WHERE n.estabelecimento_id = $1 AND n.created_at > NOW() - make_interval(days => $2)
+      GROUP BY n.type, n.lead_minutes
+      ORDER BY n.type, n.lead_minutes DESC NULLS LAST
+    `;
+    const result = await pool.query(query, [id, dias]);
+    res.status(200).json(result.rows);
+  } catch (err) {
+    console.error(`❌ Erro ao buscar estatísticas de notificação do estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar as estatísticas de notificação.' });
+  }
+});
+
+// --- Catálogo de Produtos ---
+
+// Rota para listar os produtos de um estabelecimento. O dono também vê os produtos inativos.
+app.get('/api/estabelecimentos/:id/produtos', optionalAuth, async (req, res) => {
+  const { id } = req.params;
+  console.log(`➡️  GET /api/estabelecimentos/${id}/produtos`);
+
+  try {
+    const estResult = await pool.query('SELECT user_id FROM estabelecimentos WHERE id = $1', [id]);
+    if (estResult.rowCount === 0) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado.' });
+    }
+    const isOwner = req.user && estResult.rows[0].user_id === req.user.userId;
+
+    const result = await pool.query(
+      `SELECT id, name, price, unit, photo_url, is_active FROM products
+       WHERE estabelecimento_id = $1 AND ($2 OR is_active)
+       ORDER BY name, id`,
+      [id, isOwner]
+    );
+    res.status(200).json(result.rows.map(formatProduct));
+  } catch (err) {
+    console.error(`❌ Erro ao buscar produtos do estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os produtos.' });
+  }
+});
+
+// Rota para o lojista cadastrar um produto no catálogo do estabelecimento
+app.post('/api/estabelecimentos/:id/produtos', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  const { name, price, unit, photoUrl } = req.body;
+
+  console.log(`➡️  POST /api/estabelecimentos/${id}/produtos pelo usuário ${userId}`);
+
+  const validationError = validateProductInput({ name, price, unit });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    if (!(await isEstabelecimentoOwner(id, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO products (estabelecimento_id, name, price, unit, photo_url)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, name, price, unit, photo_url, is_active`,
+      [id, name.trim(), price, unit ? unit.trim() : 'unidade', photoUrl || null]
+    );
+
+    console.log(`✅ Produto ${result.rows[0].id} (${name}) criado para o estabelecimento ${id}.`);
+    res.status(201).json(formatProduct(result.rows[0]));
+  } catch (err) {
+    console.error(`❌ Erro ao criar produto para o estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao salvar o produto.' });
+  }
+});
+
+// Rota para o lojista editar um produto. active = false tira o produto do catálogo e das fornadas.
+app.put('/api/estabelecimentos/:id/produtos/:produtoId', lojistaRequired, async (req, res) => {
+  const { id, produtoId } = req.params;
+  const userId = req.user.userId;
+  const { name, price, unit, photoUrl, active = true } = req.body;
+
+  console.log(`➡️  PUT /api/estabelecimentos/${id}/produtos/${produtoId} pelo usuário ${userId}`);
+
+  const validationError = validateProductInput({ name, price, unit });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE products p
+       SET name = $1, price = $2, unit = $3, photo_url = $4, is_active = $5
+       FROM estabelecimentos e
+       WHERE p.id = $6 AND p.estabelecimento_id = $7 AND e.id = p.estabelecimento_id AND e.user_id = $8
+       RETURNING p.id, p.name, p.price, p.unit, p.photo_url, p.is_active`,
+      [name.trim(), price, unit ? unit.trim() : 'unidade', photoUrl || null, active !== false, produtoId, id, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Produto não encontrado ou você não tem permissão para editá-lo.' });
+    }
+
+    console.log(`✅ Produto ${produtoId} atualizado.`);
+    res.status(200).json(formatProduct(result.rows[0]));
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar o produto ${produtoId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar o produto.' });
+  }
+});
+
+// Rota para o lojista excluir um produto. Reservas antigas guardam o nome e o preço do item.
+app.delete('/api/estabelecimentos/:id/produtos/:produtoId', lojistaRequired, async (req, res) => {
+  const { id, produtoId } = req.params;
+  const userId = req.user.userId;
+
+  console.log(`➡️  DELETE /api/estabelecimentos/${id}/produtos/${produtoId} pelo usuário ${userId}`);
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM products p
+       USING estabelecimentos e
+       WHERE p.id = $1 AND p.estabelecimento_id = $2 AND e.id = p.estabelecimento_id AND e.user_id = $3`,
+      [produtoId, id, userId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Produto não encontrado ou você não tem permissão para excluí-lo.' });
+    }
+
+    console.log(`✅ Produto ${produtoId} excluído.`);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro ao excluir o produto ${produtoId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao excluir o produto.' });
+  }
+});
+
+// --- Modelos de Notificação e Frases ---
+
+// Rota para listar os tipos de modelo e os marcadores aceitos em cada um
+app.get('/api/modelos-notificacao/tipos', authRequired, (req, res) => {
+  console.log('➡️  GET /api/modelos-notificacao/tipos');
+  res.status(200).json(Object.entries(NOTIFICATION_TEMPLATE_KINDS).map(([kind, placeholders]) => ({ kind, placeholders })));
+});
+
+// Rota para o admin listar os modelos globais, que valem para todos os estabelecimentos sem modelo próprio
+app.get('/api/modelos-notificacao', adminRequired, async (req, res) => {
+  console.log('➡️  GET /api/modelos-notificacao');
+  try {
+    const result = await pool.query(
+      'SELECT id, kind, title, body, is_active FROM notification_templates WHERE estabelecimento_id IS NULL ORDER BY kind, id'
+    );
+    res.status(200).json(result.rows.map(formatNotificationTemplate));
+  } catch (err) {
+    console.error('❌ Erro ao buscar modelos globais de notificação:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os modelos.' });
+  }
+});
+
+// Rota para o admin cadastrar um modelo global
+app.post('/api/modelos-notificacao', adminRequired, async (req, res) => {
+  const { kind, title, body } = req.body;
+  console.log(`➡️  POST /api/modelos-notificacao (${kind}) pelo usuário ${req.user.userId}`);
+
+  const validationError = validateNotificationTemplateInput({ kind, title, body });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO notification_templates (kind, title, body) VALUES ($1, $2, $3)
+       RETURNING id, kind, title, body, is_active`,
+      [kind, title.trim(), body.trim()]
+    );
+    console.log(`✅ Modelo global ${result.rows[0].id} (${kind}) criado.`);
+    res.status(201).json(formatNotificationTemplate(result.rows[0]));
+  } catch (err) {
+    console.error('❌ Erro ao criar modelo global de notificação:', err.stack);
+    res.status(500).json({ message: 'Erro ao salvar o modelo.' });
+  }
+});
+
+// Rota para o admin editar um modelo global. active = false desativa o modelo sem excluí-lo.
+app.put('/api/modelos-notificacao/:modeloId', adminRequired, async (req, res) => {
+  const { modeloId } = req.params;
+  const { kind, title, body, active = true } = req.body;
+  console.log(`➡️  PUT /api/modelos-notificacao/${modeloId} pelo usuário ${req.user.userId}`);
+
+  const validationError = validateNotificationTemplateInput({ kind, title, body });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE notification_templates SET kind = $1, title = $2, body = $3, is_active = $4, updated_at = NOW()
+       WHERE id = $5 AND estabelecimento_id IS NULL
+       RETURNING id, kind, title, body, is_active`,
+      [kind, title.trim(), body.trim(), active !== false, modeloId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Modelo não encontrado.' });
+    }
+    console.log(`✅ Modelo global ${modeloId} atualizado.`);
+    res.status(200).json(formatNotificationTemplate(result.rows[0]));
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar o modelo ${modeloId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar o modelo.' });
+  }
+});
+
+// Rota para o admin excluir um modelo global
+app.delete('/api/modelos-notificacao/:modeloId', adminRequired, async (req, res) => {
+  const { modeloId } = req.params;
+  console.log(`➡️  DELETE /api/modelos-notificacao/${modeloId} pelo usuário ${req.user.userId}`);
+
+  try {
+    const result = await pool.query('DELETE FROM notification_templates WHERE id = $1 AND estabelecimento_id IS NULL', [modeloId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Modelo não encontrado.' });
+    }
+    console.log(`✅ Modelo global ${modeloId} excluído.`);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro ao excluir o modelo ${modeloId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao excluir o modelo.' });
+  }
+});
+
+// Rota para o lojista listar os modelos próprios do estabelecimento
+app.get('/api/estabelecimentos/:id/modelos-notificacao', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  console.log(`➡️  GET /api/estabelecimentos/${id}/modelos-notificacao pelo usuário ${userId}`);
+
+  try {
+    if (!(await isEstabelecimentoOwner(id, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+    const result = await pool.query(
+      'SELECT id, kind, title, body, is_active FROM notification_templates WHERE estabelecimento_id = $1 ORDER BY kind, id',
+      [id]
+    );
+    res.status(200).json(result.rows.map(formatNotificationTemplate));
+  } catch (err) {
+    console.error(`❌ Erro ao buscar modelos de notificação do estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os modelos.' });
+  }
+});
+
+// Rota para o lojista cadastrar um modelo próprio, que tem preferência sobre os globais do mesmo tipo
+app.post('/api/estabelecimentos/:id/modelos-notificacao', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  const { kind, title, body } = req.body;
+  console.log(`➡️  POST /api/estabelecimentos/${id}/modelos-notificacao (${kind}) pelo usuário ${userId}`);
+
+  const validationError = validateNotificationTemplateInput({ kind, title, body });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    if (!(await isEstabelecimentoOwner(id, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+    const result = await pool.query(
+      `INSERT INTO notification_templates (estabelecimento_id, kind, title, body) VALUES ($1, $2, $3, $4)
+       RETURNING id, kind, title, body, is_active`,
+      [id, kind, title.trim(), body.trim()]
+    );
+    console.log(`✅ Modelo ${result.rows[0].id} (${kind}) criado para o estabelecimento ${id}.`);
+    res.status(201).json(formatNotificationTemplate(result.rows[0]));
+  } catch (err) {
+    console.error(`❌ Erro ao criar modelo de notificação para o estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao salvar o modelo.' });
+  }
+});
+
+// Rota para o lojista editar um modelo próprio. active = false volta a usar os modelos globais ou o texto padrão.
+app.put('/api/estabelecimentos/:id/modelos-notificacao/:modeloId', lojistaRequired, async (req, res) => {
+  const { id, modeloId } = req.params;
+  const userId = req.user.userId;
+  const { kind, title, body, active = true } = req.body;
+  console.log(`➡️  PUT /api/estabelecimentos/${id}/modelos-notificacao/${modeloId} pelo usuário ${userId}`);
+
+  const validationError = validateNotificationTemplateInput({ kind, title, body });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE notification_templates t
+       SET kind = $1, title = $2, body = $3, is_active = $4, updated_at = NOW()
+       FROM estabelecimentos e
+       WHERE t.id = $5 AND t.estabelecimento_id = $6 AND e.id = t.estabelecimento_id AND e.user_id = $7
+       RETURNING t.id, t.kind, t.title, t.body, t.is_active`,
+      [kind, title.trim(), body.trim(), active !== false, modeloId, id, userId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Modelo não encontrado ou você não tem permissão para editá-lo.' });
+    }
+    console.log(`✅ Modelo ${modeloId} atualizado.`);
+    res.status(200).json(formatNotificationTemplate(result.rows[0]));
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar o modelo ${modeloId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar o modelo.' });
+  }
+});
+
+// Rota para o lojista excluir um modelo próprio
+app.delete('/api/estabelecimentos/:id/modelos-notificacao/:modeloId', lojistaRequired, async (req, res) => {
+  const { id, modeloId } = req.params;
+  const userId = req.user.userId;
+  console.log(`➡️  DELETE /api/estabelecimentos/${id}/modelos-notificacao/${modeloId} pelo usuário ${userId}`);
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM notification_templates t
+       USING estabelecimentos e
+       WHERE t.id = $1 AND t.estabelecimento_id = $2 AND e.id = t.estabelecimento_id AND e.user_id = $3`,
+      [modeloId, id, userId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Modelo não encontrado ou você não tem permissão para excluí-lo.' });
+    }
+    console.log(`✅ Modelo ${modeloId} excluído.`);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro ao excluir o modelo ${modeloId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao excluir o modelo.' });
+  }
+});
+
+// Rota para o lojista listar as frases próprias do estabelecimento (usadas no lugar das globais)
+app.get('/api/estabelecimentos/:id/frases', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  console.log(`➡️  GET /api/estabelecimentos/${id}/frases pelo usuário ${userId}`);
+
+  try {
+    if (!(await isEstabelecimentoOwner(id, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+    const result = await pool.query('SELECT id, message FROM notification_messages WHERE estabelecimento_id = $1 ORDER BY id', [id]);
+    res.status(200).json(result.rows);
+  } catch (err) {
+    console.error(`❌ Erro ao buscar frases do estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar as frases.' });
+  }
+});
+
+// Rota para o lojista cadastrar uma frase própria
+app.post('/api/estabelecimentos/:id/frases', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+  const { message } = req.body;
+  console.log(`➡️  POST /api/estabelecimentos/${id}/frases pelo usuário ${userId}`);
+
+  if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_TEMPLATE_BODY_LENGTH) {
+    return res.status(400).json({ message: `A frase é obrigatória (até ${MAX_TEMPLATE_BODY_LENGTH} caracteres).` });
+  }
+
+  try {
+    if (!(await isEstabelecimentoOwner(id, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+    const result = await pool.query(
+      'INSERT INTO notification_messages (estabelecimento_id, message) VALUES ($1, $2) RETURNING id, message',
+      [id, message.trim()]
+    );
+    console.log(`✅ Frase ${result.rows[0].id} criada para o estabelecimento ${id}.`);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error(`❌ Erro ao criar frase para o estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao salvar a frase.' });
+  }
+});
+
+// Rota para o lojista excluir uma frase própria
+app.delete('/api/estabelecimentos/:id/frases/:fraseId', lojistaRequired, async (req, res) => {
+  const { id, fraseId } = req.params;
+  const userId = req.user.userId;
+  console.log(`➡️  DELETE /api/estabelecimentos/${id}/frases/${fraseId} pelo usuário ${userId}`);
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM notification_messages m
+       USING estabelecimentos e
+       WHERE m.id = $1 AND m.estabelecimento_id = $2 AND e.id = m.estabelecimento_id AND e.user_id = $3`,
+      [fraseId, id, userId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Frase não encontrada ou você não tem permissão para excluí-la.' });
+    }
+    console.log(`✅ Frase ${fraseId} excluída.`);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro ao excluir a frase ${fraseId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao excluir a frase.' });
+  }
+});
+
+// Rota para listar as reservas de um estabelecimento (Lojista)
+app.get('/api/estabelecimentos/:id/reservas', lojistaRequired, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  // Filtros opcionais: status (um ou mais, separados por vírgula) e data da reserva (AAAA-MM-DD)
+  const invalidParam = findNonStringQueryParam(req.query, ['status', 'data']);
+  if (invalidParam) {
+    return res.status(400).json({ message: `O parâmetro ${invalidParam} deve ser informado uma única vez.` });
+  }
+  const statuses = req.query.status ? req.query.status.split(',').map(st => st.trim()) : null;
+  const { data } = req.query;
+
+  console.log(`➡️  GET /api/estabelecimentos/${id}/reservas - Solicitado pelo lojista ${userId} (status: ${statuses || '-'}, data: ${data || '-'})`);
+
+  if (statuses && !statuses.every(st => RESERVATION_STATUSES.includes(st))) {
+    return res.status(400).json({ message: `Status inválido. Use: ${RESERVATION_STATUSES.join(', ')}.` });
+  }
+  if (data && !DATE_REGEX.test(data)) {
+    return res.status(400).json({ message: 'A data deve estar no formato AAAA-MM-DD.' });
+  }
+
+  try {
+    // Verifica se o estabelecimento pertence ao lojista
+    const verifyOwner = await pool.query('SELECT id FROM estabelecimentos WHERE id = $1 AND user_id = $2', [id, userId]);
+    if (verifyOwner.rowCount === 0) {
+      return res.status(403).json({ message: 'Você não tem permissão para ver as reservas deste estabelecimento.' });
+    }
+
+    const query = `
+      SELECT r.id, r.created_at, r.reservation_time, r.fornada_id, r.quantity, r.status, r.status_updated_at,
+        ${RESERVATION_ITEMS_COLUMNS},
+        to_char(${RESERVATION_DATE_SQL}, 'YYYY-MM-DD') AS reservation_date,
+        u.name as user_name, u.email as user_email
+      FROM reservations r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.establishment_id = $1
+        AND ($2::text[] IS NULL OR r.status = ANY($2::text[]))
+        AND ($3::date IS NULL OR ${RESERVATION_DATE_SQL} = $3::date)
+      ORDER BY r.created_at DESC
+    `;
+    const result = await pool.query(query, [id, statuses, data || null]);
+    res.status(200).json(result.rows);
+  } catch (err) {
+    console.error(`❌ Erro ao buscar reservas do estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar reservas.' });
+  }
+});
+
+// Rota para o lojista mudar o status de uma reserva (confirmar, rejeitar, pronta, retirada, não compareceu)
+app.patch('/api/estabelecimentos/:id/reservas/:reservaId', lojistaRequired, async (req, res) => {
+  const { id, reservaId } = req.params;
+  const userId = req.user.userId;
+  const { status } = req.body;
+
+  console.log(`➡️  PATCH /api/estabelecimentos/${id}/reservas/${reservaId} - Lojista ${userId} solicitou status "${status}"`);
+
+  // Status atuais a partir dos quais a transição pedida é permitida
+  const allowedFrom = Object.keys(RESERVATION_TRANSITIONS).filter(from => RESERVATION_TRANSITIONS[from].includes(status));
+  if (allowedFrom.length === 0) {
+    return res.status(400).json({ message: `Status inválido. Use: ${[...new Set(Object.values(RESERVATION_TRANSITIONS).flat())].join(', ')}.` });
+  }
+
+  try {
+    // A condição sobre o status atual torna a transição atômica, mesmo com duas ações simultâneas
+    const updateQuery = `
+      UPDATE reservations r
+      SET status = $1, status_updated_at = NOW()
+      FROM estabelecimentos e
+      WHERE r.id = $2 AND r.establishment_id = $3
+        AND e.id = r.establishment_id AND e.user_id = $4
+        AND r.status = ANY($5::text[])
+      RETURNING r.id, r.user_id, r.establishment_id, r.reservation_time, r.status, r.status_updated_at, e.nome
+    `;
+    const result = await pool.query(updateQuery, [status, reservaId, id, userId, allowedFrom]);
+
+    if (result.rowCount === 0) {
+      const current = await pool.query(
+        `SELECT r.status FROM reservations r JOIN estabelecimentos e ON e.id = r.establishment_id
+         WHERE r.id = $1 AND r.establishment_id = $2 AND e.user_id = $3`,
+        [reservaId, id, userId]
+      );
+      if (current.rowCount === 0) {
+        return res.status(404).json({ message: 'Reserva não encontrada ou você não tem permissão para alterá-la.' });
+      }
+      return res.status(409).json({ message: `Não é possível mudar uma reserva "${current.rows[0].status}" para "${status}".` });
+    }
+
+    const reserva = result.rows[0];
+    console.log(`✅ Reserva ${reservaId} agora está "${status}".`);
+
+    // Avisa o cliente em todos os seus dispositivos. Falhas no envio não desfazem a mudança de status.
+    await notifyReservationStatusChange(reserva);
+
+    res.status(200).json({
+      id: reserva.id,
+      status: reserva.status,
+      status_updated_at: reserva.status_updated_at
+    });
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar a reserva ${reservaId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar a reserva.' });
+  }
+});
+
+// Rota para o lojista conferir, no balcão, a reserva de um código de retirada
+app.get('/api/reservas/codigo/:code', lojistaRequired, async (req, res) => {
+  const code = req.params.code.trim().toUpperCase();
+  const userId = req.user.userId;
+
+  console.log(`➡️  GET /api/reservas/codigo/${code} - Lojista ${userId}`);
+
+  try {
+    // Só encontra reservas de estabelecimentos do próprio lojista
+    const query = `
+      SELECT r.id, r.created_at, r.reservation_time, r.fornada_id, r.quantity, r.status, r.status_updated_at,
+        ${RESERVATION_ITEMS_COLUMNS},
+        to_char(${RESERVATION_DATE_SQL}, 'YYYY-MM-DD') AS reservation_date, r.pickup_code,
+        f.description AS fornada_description,
+        e.id AS establishment_id, e.nome AS establishment_name,
+        u.name AS user_name
+      FROM reservations r
+      JOIN estabelecimentos e ON e.id = r.establishment_id
+      JOIN users u ON u.id = r.user_id
+      LEFT JOIN fornadas f ON f.id = r.fornada_id
+      WHERE r.pickup_code = $1 AND e.user_id = $2
+    `;
+    const result = await pool.query(query, [code, userId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Código de retirada não encontrado nos seus estabelecimentos.' });
+    }
+
+    const reserva = result.rows[0];
+    res.status(200).json({
+      ...reserva,
+      can_redeem: (RESERVATION_TRANSITIONS[reserva.status] || []).includes('retirada')
+    });
+  } catch (err) {
+    console.error(`❌ Erro ao conferir o código de retirada ${code}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao conferir o código de retirada.' });
+  }
+});
+
+// Rota para o lojista marcar como retirada a reserva de um código de retirada
+app.post('/api/reservas/codigo/:code/retirar', lojistaRequired, async (req, res) => {
+  const code = req.params.code.trim().toUpperCase();
+  const userId = req.user.userId;
+
+  console.log(`➡️  POST /api/reservas/codigo/${code}/retirar - Lojista ${userId}`);
+
+  const allowedFrom = Object.keys(RESERVATION_TRANSITIONS).filter(from => RESERVATION_TRANSITIONS[from].includes('retirada'));
+
+  try {
+    const updateQuery = `
+      UPDATE reservations r
+      SET status = 'retirada', status_updated_at = NOW()
+      FROM estabelecimentos e
+      WHERE r.pickup_code = $1
+        AND e.id = r.establishment_id AND e.user_id = $2
+        AND r.status = ANY($3::text[])
+      RETURNING r.id, r.user_id, r.establishment_id, r.reservation_time, r.status, r.status_updated_at, e.nome
+    `;
+    const result = await pool.query(updateQuery, [code, userId, allowedFrom]);
+
+    if (result.rowCount === 0) {
+      const current = await pool.query(
+        `SELECT r.status FROM reservations r JOIN estabelecimentos e ON e.id = r.establishment_id
+         WHERE r.pickup_code = $1 AND e.user_id = $2`,
+        [code, userId]
+      );
+      if (current.rowCount === 0) {
+        return res.status(404).json({ message: 'Código de retirada não encontrado nos seus estabelecimentos.' });
+      }
+      return res.status(409).json({ message: `Não é possível retirar uma reserva "${current.rows[0].status}".` });
+    }
+
+    const reserva = result.rows[0];
+    console.log(`✅ Reserva ${reserva.id} retirada com o código ${code}.`);
+
+    await notifyReservationStatusChange(reserva);
+
+    res.status(200).json({
+      id: reserva.id,
+      status: reserva.status,
+      status_updated_at: reserva.status_updated_at
+    });
+  } catch (err) {
+    console.error(`❌ Erro ao retirar a reserva do código ${code}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao registrar a retirada.' });
+  }
+});
+
+// --- ROTAS DE USUÁRIO LOGADO ---
+
+// Rota para buscar os estabelecimentos de um usuário logado
+app.get('/api/users/me/estabelecimentos', lojistaRequired, async (req, res) => {
+  const userId = req.user.userId;
+  console.log(`➡️  GET /api/users/me/estabelecimentos para o usuário ${userId}`);
+
+  try {
+    const query = `
+      SELECT 
+        e.id, e.nome, e.tipo, e.latitude, e.longitude, e.details,
+        ${openingStatusColumns('e.id')},
+        COUNT(es.subscription_id) AS followers_count
+      FROM 
+        estabelecimentos e
+      LEFT JOIN 
+        establishment_subscriptions es ON e.id = es.estabelecimento_id
+      WHERE e.user_id = $1
+      GROUP BY e.id
+      ORDER BY e.id DESC;
+    `;
+    const result = await pool.query(query, [userId]);
+    const proximasFornadas = await loadProximasFornadas(result.rows.map(row => row.id));
+
+    // Remonta o objeto completo que o frontend espera
+    const estabelecimentos = result.rows.map(row => ({
+      ...row,
+      followers_count: parseInt(row.followers_count, 10), // Garante que seja um número
+      ...row.details,
+      proximaFornada: proximasFornadas.get(row.id),
+      isOpen: row.is_open,
+      nextOpening: row.next_opening
+    }));
+
+    res.status(200).json(estabelecimentos);
+  } catch (err) {
+    console.error(`❌ Erro ao buscar estabelecimentos do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar seus estabelecimentos.' });
+  }
+});
+
+// Rota para o cliente ver o histórico das próprias reservas
+app.get('/api/users/me/reservas', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  if (findNonStringQueryParam(req.query, ['status'])) {
+    return res.status(400).json({ message: 'O parâmetro status deve ser informado uma única vez.' });
+  }
+  const statuses = req.query.status ? req.query.status.split(',').map(st => st.trim()) : null;
+
+  console.log(`➡️  GET /api/users/me/reservas para o usuário ${userId} (status: ${statuses || '-'})`);
+
+  if (statuses && !statuses.every(st => RESERVATION_STATUSES.includes(st))) {
+    return res.status(400).json({ message: `Status inválido. Use: ${RESERVATION_STATUSES.join(', ')}.` });
+  }
+
+  try {
+    const query = `
+      SELECT r.id, r.created_at, r.reservation_time, r.fornada_id, r.quantity, r.status, r.status_updated_at,
+        ${RESERVATION_ITEMS_COLUMNS},
+        to_char(${RESERVATION_DATE_SQL}, 'YYYY-MM-DD') AS reservation_date, r.pickup_code,
+        f.description AS fornada_description,
+        e.id AS establishment_id, e.nome AS establishment_name
+      FROM reservations r
+      JOIN estabelecimentos e ON e.id = r.establishment_id
+      LEFT JOIN fornadas f ON f.id = r.fornada_id
+      WHERE r.user_id = $1
+        AND ($2::text[] IS NULL OR r.status = ANY($2::text[]))
+      ORDER BY r.created_at DESC
+    `;
+    const result = await pool.query(query, [userId, statuses]);
+    const reservas = result.rows.map(row => ({
+      ...row,
+      pickup_qr: row.pickup_code ? buildPickupQrPayload(row.pickup_code) : null
+    }));
+    res.status(200).json(reservas);
+  } catch (err) {
+    console.error(`❌ Erro ao buscar reservas do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar suas reservas.' });
+  }
+});
+
+// Rota para o cliente cancelar uma reserva. Dentro da janela de carência, a vaga volta para a cota do mês.
+app.post('/api/users/me/reservas/:reservaId/cancelar', authRequired, async (req, res) => {
+  const { reservaId } = req.params;
+  const userId = req.user.userId;
+  const userName = req.user.name;
+
+  console.log(`➡️  POST /api/users/me/reservas/${reservaId}/cancelar pelo usuário ${userId}`);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const cancelQuery = `
+      UPDATE reservations
+      SET status = 'cancelada', status_updated_at = NOW(),
+        quota_refunded = created_at > NOW() - make_interval(mins => $3)
+      WHERE id = $1 AND user_id = $2 AND status = ANY($4::text[])
+      RETURNING id, establishment_id, reservation_time, quota_refunded
+    `;
+    const result = await client.query(cancelQuery, [reservaId, userId, RESERVATION_CANCEL_GRACE_MINUTES, CUSTOMER_CANCELLABLE_STATUSES]);
+
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      const current = await pool.query('SELECT status FROM reservations WHERE id = $1 AND user_id = $2', [reservaId, userId]);
+      if (current.rowCount === 0) {
+        return res.status(404).json({ message: 'Reserva não encontrada.' });
+      }
+      return res.status(409).json({ message: `Não é possível cancelar uma reserva "${current.rows[0].status}".` });
+    }
+
+    const reserva = result.rows[0];
+    if (reserva.quota_refunded) {
+      // Reservas com quota_refunded não contam na cota (ver ENTITLEMENT_USAGE)
+      console.log(`[RESERVE] Reserva ${reservaId} cancelada dentro da carência. Vaga devolvida à cota do usuário ${userId}.`);
+    }
+    await client.query('COMMIT');
+
+    // Avisa o lojista. Falhas no envio não desfazem o cancelamento.
+    try {
+      const ownerResult = await pool.query('SELECT user_id, nome FROM estabelecimentos WHERE id = $1', [reserva.establishment_id]);
+      const owner = ownerResult.rows[0];
+      if (owner && owner.user_id) {
+        const baseUrl = process.env.APP_BASE_URL || '';
+        const copy = await resolveNotificationCopy(
+          'reserva_cancelada',
+          reserva.establishment_id,
+          { estabelecimento: owner.nome, cliente: userName, horario: reserva.reservation_time },
+          {
+            title: 'Reserva Cancelada',
+            body: `O cliente ${userName} cancelou a reserva ${reserva.reservation_time ? 'da fornada das ' + reserva.reservation_time + ' ' : ''}em ${owner.nome}.`
+          }
+        );
+        await sendPushToUser(owner.user_id, {
+          title: copy.title,
+          body: copy.body,
+          icon: 'assets/icons/icon-192x192.png',
+          data: {
+            onActionClick: {
+              default: { operation: 'navigateLastFocusedOrOpen', url: `${baseUrl}/estabelecimento/${reserva.establishment_id}/reservas` }
+            }
+          }
+        }, { type: NOTIFICATION_TYPES.RESERVA_CANCELADA, estabelecimentoId: reserva.establishment_id });
+      }
+    } catch (notifyErr) {
+      console.error(`⚠️ Erro ao notificar o lojista sobre o cancelamento da reserva ${reservaId}:`, notifyErr.stack);
+    }
+
+    console.log(`✅ Reserva ${reservaId} cancelada pelo usuário ${userId}.`);
+    res.status(200).json({ id: reserva.id, status: 'cancelada', quotaRefunded: reserva.quota_refunded });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Erro ao cancelar a reserva ${reservaId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao cancelar a reserva.' });
+  } finally {
+    client.release();
+  }
+});
+
+// Rota para buscar os estabelecimentos que um usuário (cliente) segue
+app.get('/api/users/me/inscricoes', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  console.log(`➡️  GET /api/users/me/inscricoes para o usuário ${userId}`);
+
+  try {
+    const query = `
+      SELECT DISTINCT
+        e.id, e.nome, e.tipo, e.latitude, e.longitude, e.details,
+        ${openingStatusColumns('e.id')}
+      FROM
+        estabelecimentos e
+      JOIN
+        establishment_subscriptions es ON e.id = es.estabelecimento_id
+      JOIN
+        subscriptions s ON es.subscription_id = s.id
+      WHERE
+        s.user_id = $1
+      ORDER BY
+        e.nome;
+    `;
+    const result = await pool.query(query, [userId]);
+    const proximasFornadas = await loadProximasFornadas(result.rows.map(row => row.id));
+
+    const estabelecimentos = result.rows.map(row => ({
+      ...row,
+      ...row.details,
+      proximaFornada: proximasFornadas.get(row.id),
+      isOpen: row.is_open,
+      nextOpening: row.next_opening
+    }));
+    res.status(200).json(estabelecimentos);
+  } catch (err) {
+    console.error(`❌ Erro ao buscar inscrições do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar suas inscrições.' });
+  }
+});
+
+// Rota para o usuário ver o horário de silêncio e a pausa das notificações em todos os seus dispositivos
+app.get('/api/users/me/notificacoes', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  console.log(`➡️  GET /api/users/me/notificacoes para o usuário ${userId}`);
+
+  try {
+    const result = await pool.query(`SELECT ${QUIET_HOURS_COLUMNS} FROM users WHERE id = $1`, [userId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Usuário não encontrado.' });
+    }
+    res.status(200).json(formatQuietHours(result.rows[0]));
+  } catch (err) {
+    console.error(`❌ Erro ao buscar preferências de notificação do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar as preferências.' });
+  }
+});
+
+// Rota para o usuário definir o horário de silêncio (ex: 22:00 às 07:00) e pausar as notificações até uma data
+app.put('/api/users/me/notificacoes', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  console.log(`➡️  PUT /api/users/me/notificacoes para o usuário ${userId}`);
+
+  const { columns, error } = parseQuietHoursInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const names = Object.keys(columns);
+    const result = await pool.query(
+      `UPDATE users SET ${names.map((name, i) => `${name} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING ${QUIET_HOURS_COLUMNS}`,
+      [userId, ...Object.values(columns)]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Usuário não encontrado.' });
+    }
+
+    console.log(`✅ Preferências de notificação do usuário ${userId} atualizadas.`);
+    res.status(200).json(formatQuietHours(result.rows[0]));
+  } catch (err) {
+    console.error(`❌ Erro ao salvar preferências de notificação do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao salvar as preferências.' });
+  }
+});
+
+// --- ROTAS DE PLANOS ---
+
+// Rota para listar os planos disponíveis. Por padrão, os do perfil do usuário (cliente ou lojista);
+// ?audience=cliente|lojista escolhe outro público.
+app.get('/api/plans', authRequired, async (req, res) => {
+  const audience = req.query.audience || planAudienceForRole(req.user.role);
+  console.log(`➡️  GET /api/plans - Listando planos (${audience})`);
+
+  if (!['cliente', 'lojista'].includes(audience)) {
+    return res.status(400).json({ message: 'audience deve ser "cliente" ou "lojista".' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT id, name, description, benefits, entitlements, audience, price FROM plans
+       WHERE is_active = true AND audience IN ($1, 'todos')
+       ORDER BY price, id`,
+      [audience]
+    );
+    res.status(200).json(result.rows);
+  } catch (err) {
+    console.error('❌ Erro ao buscar planos:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os planos.' });
+  }
+});
+
+// Rota para o usuário consultar a cota do plano: reservas usadas no ciclo atual e estabelecimentos seguidos.
+// Para lojistas, também os estabelecimentos cadastrados, os avisos do ciclo e o histórico das estatísticas.
+app.get('/api/users/me/quota', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  console.log(`➡️  GET /api/users/me/quota para o usuário ${userId}`);
+
+  try {
+    const reservations = await checkEntitlement(pool, userId, 'monthlyReservations');
+    const follows = await checkEntitlement(pool, userId, 'maxFollows');
+    const cycle = await getQuotaCycle(pool, userId);
+    const quota = {
+      planId: reservations.planId,
+      cycleStart: cycle.start,
+      cycleEnd: cycle.end,
+      reservations: formatQuota(reservations),
+      follows: formatQuota(follows)
+    };
+
+    if (req.user.role === 'lojista') {
+      quota.establishments = formatQuota(await checkEntitlement(pool, userId, 'maxEstablishments'));
+      quota.broadcasts = formatQuota(await checkEntitlement(pool, userId, 'monthlyBroadcasts'));
+      quota.analyticsRetentionDays = (await checkEntitlement(pool, userId, 'analyticsRetentionDays')).limit;
+    }
+
+    res.status(200).json(quota);
+  } catch (err) {
+    console.error(`❌ Erro ao buscar a cota do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar a cota do plano.' });
+  }
+});
+
+// Rota para um usuário trocar de plano. O plano 0 (gratuito) vale na hora e encerra a assinatura atual;
+// os planos pagos passam pelo checkout e só valem depois da confirmação do pagamento (ou na hora, com um
+// cupom que zere o valor).
+app.put('/api/users/me/plan', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  const { planId, promoCode } = req.body;
+
+  console.log(`➡️  PUT /api/users/me/plan - Usuário ${userId} selecionou o plano ${planId}${promoCode ? ` com o cupom ${promoCode}` : ''}`);
+
+  if (typeof planId !== 'number') {
+    return res.status(400).json({ message: 'O ID do plano é obrigatório.' });
+  }
+  if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+    return res.status(400).json({ message: 'O cupom deve ser um texto.' });
+  }
+
+  try {
+    if (planId === 0) {
+      await pool.query(
+        `UPDATE plan_subscriptions SET status = 'cancelada', updated_at = NOW() WHERE user_id = $1 AND status IN ('ativa', 'pendente')`,
+        [userId]
+      );
+      await pool.query('UPDATE users SET current_plan = 0 WHERE id = $1', [userId]);
+      return res.status(200).json({ message: 'Plano atualizado com sucesso!' });
+    }
+
+    const { subscription, activated, error, status } = await startPlanCheckout(userId, req.user.role, planId, promoCode);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    if (activated) {
+      return res.status(200).json({ message: 'Plano ativado com o cupom!', subscription });
+    }
+    res.status(202).json({ message: 'Conclua o pagamento para ativar o plano.', subscription });
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar plano para o usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar o plano.' });
+  }
+});
+
+// Rota para iniciar o checkout de um plano pago. Retorna a assinatura pendente com o link de pagamento,
+// ou já ativa se o cupom (promoCode) zerar o valor.
+app.post('/api/checkout', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  const { planId, promoCode } = req.body;
+
+  console.log(`➡️  POST /api/checkout - Usuário ${userId} iniciou o checkout do plano ${planId}${promoCode ? ` com o cupom ${promoCode}` : ''}`);
+
+  if (!Number.isInteger(planId)) {
+    return res.status(400).json({ message: 'O ID do plano é obrigatório.' });
+  }
+  if (promoCode !== undefined && promoCode !== null && typeof promoCode !== 'string') {
+    return res.status(400).json({ message: 'O cupom deve ser um texto.' });
+  }
+
+  try {
+    const { subscription, error, status } = await startPlanCheckout(userId, req.user.role, planId, promoCode);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    res.status(201).json(subscription);
+  } catch (err) {
+    console.error(`❌ Erro no checkout do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao iniciar o pagamento.' });
+  }
+});
+
+// Rota para o usuário acompanhar as suas assinaturas (ex: esperar a confirmação do pagamento)
+app.get('/api/users/me/assinaturas', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  console.log(`➡️  GET /api/users/me/assinaturas para o usuário ${userId}`);
+
+  try {
+    const result = await pool.query(
+      `SELECT ${PLAN_SUBSCRIPTION_COLUMNS} FROM plan_subscriptions WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+      [userId]
+    );
+    res.status(200).json(result.rows.map(formatPlanSubscription));
+  } catch (err) {
+    console.error(`❌ Erro ao buscar assinaturas do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar as assinaturas.' });
+  }
+});
+
+// Webhook chamado pelo provedor de pagamento. Cada provedor confere a própria assinatura da requisição.
+app.post('/api/pagamentos/webhook/:provider', async (req, res) => {
+  const { provider } = req.params;
+  console.log(`➡️  POST /api/pagamentos/webhook/${provider}`);
+
+  const paymentProvider = PAYMENT_PROVIDERS[provider];
+  if (!paymentProvider) {
+    return res.status(404).json({ message: 'Provedor de pagamento desconhecido.' });
+  }
+
+  const event = paymentProvider.parseWebhook(req);
+  if (!event) {
+    console.warn(`[PAGAMENTO] Webhook inválido recebido do provedor ${provider}.`);
+    return res.status(400).json({ message: 'Evento de pagamento inválido.' });
+  }
+
+  try {
+    const subscriptionId = await applyPaymentEvent(provider, event);
+    if (!subscriptionId) {
+      return res.status(404).json({ message: 'Assinatura não encontrada.' });
+    }
+    res.status(200).json({ received: true });
+  } catch (err) {
+    console.error(`❌ Erro ao processar webhook do provedor ${provider}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao processar o evento de pagamento.' });
+  }
+});
+
+// Rota de desenvolvimento: simula o provedor fake pagando (ou recusando) um checkout do próprio usuário.
+// Só existe com PAYMENT_PROVIDER=fake.
+if (PAYMENT_PROVIDERS.fake) {
+  app.post('/api/pagamentos/fake/:reference/simular', authRequired, async (req, res) => {
+    const { reference } = req.params;
+    const { status = 'pago' } = req.body || {};
+    const userId = req.user.userId;
+    console.log(`➡️  POST /api/pagamentos/fake/${reference}/simular (${status}) pelo usuário ${userId}`);
+
+    if (!['pago', 'falhou'].includes(status)) {
+      return res.status(400).json({ message: 'status deve ser "pago" ou "falhou".' });
+    }
+
+    try {
+      const subResult = await pool.query(
+        `SELECT id FROM plan_subscriptions WHERE provider = 'fake' AND provider_reference = $1 AND user_id = $2`,
+        [reference, userId]
+      );
+      if (subResult.rowCount === 0) {
+        return res.status(404).json({ message: 'Assinatura não encontrada.' });
+      }
+      await applyPaymentEvent('fake', { reference, status });
+      res.status(200).json({ received: true });
+    } catch (err) {
+      console.error(`❌ Erro ao simular pagamento ${reference}:`, err.stack);
+      res.status(500).json({ message: 'Erro ao simular o pagamento.' });
+    }
+  });
+}
+
+// --- ROTAS DE ADMINISTRAÇÃO ---
+// Todas exigem o perfil 'admin'.
+
+// Valida os campos de um plano. Retorna a mensagem de erro ou null se estiver tudo certo.
+const validatePlanInput = ({ name, benefits, price, entitlements, audience }) => {
+  if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 255) {
+    return 'O nome do plano é obrigatório.';
+  }
+  if (!Array.isArray(benefits) || !benefits.every(b => typeof b === 'string' && b.trim().length > 0)) {
+    return 'benefits deve ser uma lista de textos.';
+  }
+  if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+    return 'O preço deve ser um número maior ou igual a zero.';
+  }
+  if (audience !== undefined && !PLAN_AUDIENCES.includes(audience)) {
+    return `audience deve ser ${PLAN_AUDIENCES.join(', ')}.`;
+  }
+  if (entitlements !== undefined) {
+    return validateEntitlements(entitlements);
+  }
+  return null;
+};
+
+// Lê limit/offset da query string. Retorna { limit, offset } ou { error }.
+const parsePagination = (query) => {
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+  const offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+  if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `O limit deve estar entre 1 e ${MAX_PAGE_SIZE}.` };
+  }
+  if (isNaN(offset) || offset < 0) {
+    return { error: 'O offset deve ser um número maior ou igual a zero.' };
+  }
+  return { limit, offset };
+};
+
+// Rota para listar e buscar usuários (por nome ou email), com filtros de perfil e situação
+app.get('/api/admin/users', adminRequired, async (req, res) => {
+  const { busca, role, ativo } = req.query;
+  console.log(`➡️  GET /api/admin/users (busca: ${busca || '-'}, role: ${role || '-'}, ativo: ${ativo ?? '-'})`);
+
+  const invalidParam = findNonStringQueryParam(req.query, ['busca', 'role', 'ativo', 'limit', 'offset']);
+  if (invalidParam) {
+    return res.status(400).json({ message: `O parâmetro ${invalidParam} deve ser informado uma única vez.` });
+  }
+
+  const { limit, offset, error } = parsePagination(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  if (role && !USER_ROLES.includes(role)) {
+    return res.status(400).json({ message: `Perfil inválido. Use: ${USER_ROLES.join(', ')}.` });
+  }
 
-  console.log(`➡️  GET /api/estabelecimentos para lat: ${userLat}, lng: ${userLng}`);
+  const conditions = [];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  if (busca) {
+    const term = addParam(`%${escapeLike(busca)}%`);
+    conditions.push(`(u.name ILIKE ${term} OR u.email ILIKE ${term})`);
+  }
+  if (role) {
+    conditions.push(`u.role = ${addParam(role)}`);
+  }
+  if (ativo === 'true' || ativo === 'false') {
+    conditions.push(`u.is_active = ${addParam(ativo === 'true')}`);
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countParams = [...params];
 
   try {
-    const result = await pool.query('SELECT id, nome, tipo, latitude, longitude, details FROM estabelecimentos');
-    console.log(`[DB] Encontrados ${result.rowCount} estabelecimentos.`);
-    
-    // Remonta o objeto completo que o frontend espera
-    let estabelecimentos = result.rows.map(row => ({
-      id: row.id,
-      nome: row.nome,
-      tipo: row.tipo,
-      latitude: row.latitude,
-      longitude: row.longitude,
-      ...row.details // Combina com os detalhes do JSONB (horario, endereco, etc.)
-    }));
-    
-    // Se as coordenadas do usuário foram fornecidas, calcula a distância
-    if (!isNaN(userLat) && !isNaN(userLng)) {
-      const estabelecimentosComDistancia = estabelecimentos.map(est => {
-        const distanciaKm = calculateDistance(userLat, userLng, est.latitude, est.longitude);
-        return { ...est, distanciaKm };
-      });
-      // Ordena pela distância
-      res.status(200).json(estabelecimentosComDistancia.sort((a, b) => a.distanciaKm - b.distanciaKm));
-    } else {
-      // Retorna a lista sem distância se as coordenadas não forem fornecidas
-      res.status(200).json(estabelecimentos);
-    }
+    const [result, countResult] = await Promise.all([
+      pool.query(
+        `SELECT u.id, u.email, u.name, u.role, u.is_active, u.current_plan, u.created_at,
+           (SELECT COUNT(*)::int FROM estabelecimentos e WHERE e.user_id = u.id) AS estabelecimentos
+         FROM users u
+         ${whereClause}
+         ORDER BY u.id
+         LIMIT ${addParam(limit)} OFFSET ${addParam(offset)}`,
+        params
+      ),
+      pool.query(`SELECT COUNT(*) AS total FROM users u ${whereClause}`, countParams)
+    ]);
+    res.set('X-Total-Count', countResult.rows[0].total);
+    res.status(200).json(result.rows);
   } catch (err) {
-    console.error('❌ Erro ao buscar estabelecimentos:', err.stack);
-    res.status(500).json({ message: 'Erro ao buscar estabelecimentos.' });
+    console.error('❌ Erro ao listar usuários:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os usuários.' });
   }
 });
 
-app.get('/api/estabelecimentos/:id', async (req, res) => {
-  const { id } = req.params;
-  console.log(`➡️  GET /api/estabelecimentos/${id}`);
+// Rota para mudar o perfil de um usuário ou desativar/reativar a conta.
+// Contas desativadas não conseguem entrar nem renovar o token, e as sessões abertas são encerradas.
+app.patch('/api/admin/users/:userId', adminRequired, async (req, res) => {
+  const { userId } = req.params;
+  const { role, active } = req.body;
+  const adminId = req.user.userId;
 
-  try {
-    const result = await pool.query('SELECT id, nome, tipo, latitude, longitude, details FROM estabelecimentos WHERE id = $1', [id]);
+  console.log(`➡️  PATCH /api/admin/users/${userId} (role: ${role ?? '-'}, active: ${active ?? '-'}) pelo admin ${adminId}`);
+
+  if (role === undefined && active === undefined) {
+    return res.status(400).json({ message: 'Informe role e/ou active.' });
+  }
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    return res.status(400).json({ message: `Perfil inválido. Use: ${USER_ROLES.join(', ')}.` });
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return res.status(400).json({ message: 'active deve ser true ou false.' });
+  }
+  // Evita que o último acesso de administrador se perca por engano
+  if (Number(userId) === adminId && ((role !== undefined && role !== 'admin') || active === false)) {
+    return res.status(400).json({ message: 'Você não pode remover o seu próprio acesso de administrador.' });
+  }
 
+  try {
+    const result = await pool.query(
+      `UPDATE users SET role = COALESCE($1, role), is_active = COALESCE($2, is_active)
+       WHERE id = $3
+       RETURNING id, email, name, role, is_active, current_plan, created_at`,
+      [role ?? null, active ?? null, userId]
+    );
     if (result.rowCount === 0) {
-      return res.status(404).json({ message: 'Estabelecimento não encontrado.' });
+      return res.status(404).json({ message: 'Usuário não encontrado.' });
+    }
+    // Conta desativada perde todas as sessões; o perfil novo já vale na próxima requisição (authRequired lê do banco)
+    if (active === false) {
+      await revokeUserSessions(pool, userId, 'conta_desativada');
     }
 
-    const row = result.rows[0];
-    // Remonta o objeto completo que o frontend espera
-    const estabelecimento = {
-      id: row.id,
-      nome: row.nome,
-      tipo: row.tipo,
-      latitude: row.latitude,
-      longitude: row.longitude,
-      ...row.details
-    };
+    console.log(`✅ Usuário ${userId} atualizado pelo admin ${adminId}.`);
+    res.status(200).json(result.rows[0]);
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar o usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar o usuário.' });
+  }
+});
 
-    res.status(200).json(estabelecimento);
+// Rota para listar todos os planos, inclusive os inativos
+app.get('/api/admin/plans', adminRequired, async (req, res) => {
+  console.log('➡️  GET /api/admin/plans');
+  try {
+    const result = await pool.query(
+      `SELECT p.id, p.name, p.description, p.benefits, p.entitlements, p.audience, p.price, p.is_active,
+         (SELECT COUNT(*)::int FROM users u WHERE u.current_plan = p.id) AS subscribers
+       FROM plans p ORDER BY p.id`
+    );
+    res.status(200).json(result.rows);
   } catch (err) {
-    console.error(`❌ Erro ao buscar o estabelecimento ${id}:`, err.stack);
-    res.status(500).json({ message: 'Erro ao buscar o estabelecimento.' });
+    console.error('❌ Erro ao buscar planos:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os planos.' });
   }
 });
 
-// Middleware para rotas que exigem autenticação
-const authRequired = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  if (!authHeader) {
-    return res.status(401).json({ message: 'Token de autenticação não fornecido.' });
+// Rota para criar um plano. O ID é escolhido pelo admin, como no plano padrão criado em migrate.js.
+app.post('/api/admin/plans', adminRequired, async (req, res) => {
+  const { id, name, description, benefits, entitlements = {}, audience = 'cliente', price, active = true } = req.body;
+  console.log(`➡️  POST /api/admin/plans (${id}: ${name}) pelo admin ${req.user.userId}`);
+
+  if (!Number.isInteger(id) || id < 0) {
+    return res.status(400).json({ message: 'O ID do plano deve ser um número inteiro.' });
   }
-  const token = authHeader.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ message: 'Token mal formatado.' });
+  const validationError = validatePlanInput({ name, benefits, price, entitlements, audience });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
   }
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    const result = await pool.query(
+      `INSERT INTO plans (id, name, description, benefits, price, is_active, entitlements, audience)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, name, description, benefits, entitlements, audience, price, is_active`,
+      [id, name.trim(), description || null, benefits, price, active !== false, entitlements, audience]
+    );
+    console.log(`✅ Plano ${id} criado.`);
+    res.status(201).json(result.rows[0]);
   } catch (err) {
-    return res.status(401).json({ message: 'Token inválido ou expirado.' });
+    if (err.code === '23505') {
+      return res.status(409).json({ message: 'Já existe um plano com este ID.' });
+    }
+    console.error('❌ Erro ao criar plano:', err.stack);
+    res.status(500).json({ message: 'Erro ao salvar o plano.' });
   }
-};
+});
 
-// Middleware para rotas que exigem perfil de lojista
-const lojistaRequired = (req, res, next) => {
-  // Primeiro, verifica se o usuário está autenticado
-  authRequired(req, res, () => {
-    // Se autenticado, verifica se o perfil é 'lojista'
-    if (req.user && req.user.role === 'lojista') {
-      next();
-    } else {
-      res.status(403).json({ message: 'Acesso negado. Rota exclusiva para lojistas.' });
-    }
-  });
-};
+// Rota para editar um plano. Planos não são excluídos: active = false tira o plano da lista de venda.
+app.put('/api/admin/plans/:planId', adminRequired, async (req, res) => {
+  const { planId } = req.params;
+  const { name, description, benefits, entitlements, audience, price, active = true } = req.body;
+  console.log(`➡️  PUT /api/admin/plans/${planId} pelo admin ${req.user.userId}`);
 
-app.post('/api/estabelecimentos', lojistaRequired, async (req, res) => {
-  console.log('➡️  POST /api/estabelecimentos - Criando novo estabelecimento...');
-  const { nome, tipo, latitude, longitude, details } = req.body;
-  const userId = req.user.userId; // Pega o ID do usuário logado (do token)
+  const validationError = validatePlanInput({ name, benefits, price, entitlements, audience });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
 
-  // Validação básica dos dados recebidos
-  if (!nome || !tipo || !latitude || !longitude || !details) {
-    return res.status(400).json({ message: 'Dados incompletos para o cadastro.' });
+  try {
+    // entitlements e audience omitidos mantêm os valores atuais
+    const result = await pool.query(
+      `UPDATE plans SET name = $1, description = $2, benefits = $3, price = $4, is_active = $5,
+         entitlements = COALESCE($7, entitlements), audience = COALESCE($8, audience)
+       WHERE id = $6
+       RETURNING id, name, description, benefits, entitlements, audience, price, is_active`,
+      [name.trim(), description || null, benefits, price, active !== false, planId, entitlements === undefined ? null : entitlements, audience || null]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Plano não encontrado.' });
+    }
+    console.log(`✅ Plano ${planId} atualizado.`);
+    res.status(200).json(result.rows[0]);
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar o plano ${planId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar o plano.' });
   }
+});
+
+// Rota para listar as frases globais das notificações
+app.get('/api/admin/mensagens', adminRequired, async (req, res) => {
+  console.log('➡️  GET /api/admin/mensagens');
   try {
-    const insertQuery = `
-      INSERT INTO estabelecimentos (nome, tipo, latitude, longitude, details, user_id) 
-      VALUES ($1, $2, $3, $4, $5, $6) 
-      RETURNING *;
-    `;
-    const result = await pool.query(insertQuery, [nome, tipo, latitude, longitude, details, userId]);
-    const novoEstabelecimento = result.rows[0];
+    const result = await pool.query('SELECT id, message FROM notification_messages WHERE estabelecimento_id IS NULL ORDER BY id');
+    res.status(200).json(result.rows);
+  } catch (err) {
+    console.error('❌ Erro ao buscar mensagens:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar as mensagens.' });
+  }
+});
 
-    // Remonta o objeto para a resposta, similar ao GET
-    const responseEstabelecimento = {
-      id: novoEstabelecimento.id,
-      nome: novoEstabelecimento.nome,
-      tipo: novoEstabelecimento.tipo,
-      latitude: novoEstabelecimento.latitude,
-      longitude: novoEstabelecimento.longitude,
-      ...novoEstabelecimento.details
-    };
+// Rota para cadastrar uma frase global
+app.post('/api/admin/mensagens', adminRequired, async (req, res) => {
+  const { message } = req.body;
+  console.log(`➡️  POST /api/admin/mensagens pelo admin ${req.user.userId}`);
 
-    console.log(`✅ Estabelecimento "${nome}" (ID: ${novoEstabelecimento.id}) criado com sucesso.`);
-    res.status(201).json(responseEstabelecimento);
+  if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_TEMPLATE_BODY_LENGTH) {
+    return res.status(400).json({ message: `A frase é obrigatória (até ${MAX_TEMPLATE_BODY_LENGTH} caracteres).` });
+  }
+
+  try {
+    const result = await pool.query('INSERT INTO notification_messages (message) VALUES ($1) RETURNING id, message', [message.trim()]);
+    console.log(`✅ Mensagem global ${result.rows[0].id} criada.`);
+    res.status(201).json(result.rows[0]);
   } catch (err) {
-    console.error('❌ Erro ao criar novo estabelecimento:', err.stack);
-    res.status(500).json({ message: 'Erro ao salvar o estabelecimento no banco de dados.' });
+    console.error('❌ Erro ao criar mensagem:', err.stack);
+    res.status(500).json({ message: 'Erro ao salvar a mensagem.' });
   }
 });
 
-app.put('/api/estabelecimentos/:id', lojistaRequired, async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user.userId;
-  const { nome, tipo, latitude, longitude, details } = req.body;
-
-  console.log(`➡️  PUT /api/estabelecimentos/${id} para o usuário ${userId}`);
+// Rota para editar uma frase global
+app.put('/api/admin/mensagens/:mensagemId', adminRequired, async (req, res) => {
+  const { mensagemId } = req.params;
+  const { message } = req.body;
+  console.log(`➡️  PUT /api/admin/mensagens/${mensagemId} pelo admin ${req.user.userId}`);
 
-  if (!nome || !tipo || !latitude || !longitude || !details) {
-    return res.status(400).json({ message: 'Dados incompletos para a atualização.' });
+  if (typeof message !== 'string' || message.trim().length === 0 || message.length > MAX_TEMPLATE_BODY_LENGTH) {
+    return res.status(400).json({ message: `A frase é obrigatória (até ${MAX_TEMPLATE_BODY_LENGTH} caracteres).` });
   }
 
   try {
-    const updateQuery = `
-      UPDATE estabelecimentos
-      SET nome = $1, tipo = $2, latitude = $3, longitude = $4, details = $5
-      WHERE id = $6 AND user_id = $7
-      RETURNING *;
-    `;
-    const result = await pool.query(updateQuery, [nome, tipo, latitude, longitude, details, id, userId]);
-
+    const result = await pool.query(
+      'UPDATE notification_messages SET message = $1 WHERE id = $2 AND estabelecimento_id IS NULL RETURNING id, message',
+      [message.trim(), mensagemId]
+    );
     if (result.rowCount === 0) {
-      // Isso pode significar que o estabelecimento não existe ou não pertence ao usuário.
-      // Por segurança, retornamos 404 em ambos os casos para não vazar informações.
-      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+      return res.status(404).json({ message: 'Mensagem não encontrada.' });
     }
+    res.status(200).json(result.rows[0]);
+  } catch (err) {
+    console.error(`❌ Erro ao atualizar a mensagem ${mensagemId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar a mensagem.' });
+  }
+});
 
-    const updatedEstabelecimento = result.rows[0];
-
-    // Remonta o objeto para a resposta
-    const responseEstabelecimento = {
-      id: updatedEstabelecimento.id,
-      nome: updatedEstabelecimento.nome,
-      tipo: updatedEstabelecimento.tipo,
-      latitude: updatedEstabelecimento.latitude,
-      longitude: updatedEstabelecimento.longitude,
-      ...updatedEstabelecimento.details
-    };
+// Rota para excluir uma frase global
+app.delete('/api/admin/mensagens/:mensagemId', adminRequired, async (req, res) => {
+  const { mensagemId } = req.params;
+  console.log(`➡️  DELETE /api/admin/mensagens/${mensagemId} pelo admin ${req.user.userId}`);
 
-    console.log(`✅ Estabelecimento ID ${id} atualizado com sucesso.`);
-    res.status(200).json(responseEstabelecimento);
+  try {
+    const result = await pool.query('DELETE FROM notification_messages WHERE id = $1 AND estabelecimento_id IS NULL', [mensagemId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Mensagem não encontrada.' });
+    }
+    console.log(`🗑️  Mensagem global ${mensagemId} excluída.`);
+    res.status(204).send();
   } catch (err) {
-    console.error(`❌ Erro ao atualizar o estabelecimento ${id}:`, err.stack);
-    res.status(500).json({ message: 'Erro ao atualizar o estabelecimento.' });
+    console.error(`❌ Erro ao excluir a mensagem ${mensagemId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao excluir a mensagem.' });
   }
 });
 
-app.delete('/api/estabelecimentos/:id', lojistaRequired, async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user.userId;
+// Rota para listar estabelecimentos para moderação. semDono=true traz os que perderam o lojista
+// (user_id nulo depois da exclusão da conta); ativo=false traz os suspensos.
+app.get('/api/admin/estabelecimentos', adminRequired, async (req, res) => {
+  const { busca, semDono, ativo } = req.query;
+  console.log(`➡️  GET /api/admin/estabelecimentos (busca: ${busca || '-'}, semDono: ${semDono || '-'}, ativo: ${ativo ?? '-'})`);
 
-  console.log(`➡️  DELETE /api/estabelecimentos/${id} pelo usuário ${userId}`);
+  const invalidParam = findNonStringQueryParam(req.query, ['busca', 'semDono', 'ativo', 'limit', 'offset']);
+  if (invalidParam) {
+    return res.status(400).json({ message: `O parâmetro ${invalidParam} deve ser informado uma única vez.` });
+  }
 
-  try {
-    const result = await pool.query('DELETE FROM estabelecimentos WHERE id = $1 AND user_id = $2', [id, userId]);
+  const { limit, offset, error } = parsePagination(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
 
-    if (result.rowCount === 0) {
-      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para excluí-lo.' });
-    }
+  const conditions = [];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  if (busca) {
+    conditions.push(`${ESTABELECIMENTO_SEARCH_EXPR} ILIKE ${addParam(`%${escapeLike(busca)}%`)}`);
+  }
+  if (semDono === 'true') {
+    conditions.push('e.user_id IS NULL');
+  }
+  if (ativo === 'true' || ativo === 'false') {
+    conditions.push(`e.is_active = ${addParam(ativo === 'true')}`);
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countParams = [...params];
 
-    console.log(`✅ Estabelecimento ID ${id} excluído com sucesso.`);
-    res.status(204).send(); // 204 No Content é a resposta padrão para exclusões bem-sucedidas.
+  try {
+    const [result, countResult] = await Promise.all([
+      pool.query(
+        `SELECT e.id, e.nome, e.tipo, e.user_id, u.name AS owner_name, u.email AS owner_email,
+           e.is_active, e.moderation_note,
+           (SELECT COUNT(*)::int FROM establishment_subscriptions es WHERE es.estabelecimento_id = e.id) AS seguidores
+         FROM estabelecimentos e
+         LEFT JOIN users u ON u.id = e.user_id
+         ${whereClause}
+         ORDER BY e.id
+         LIMIT ${addParam(limit)} OFFSET ${addParam(offset)}`,
+        params
+      ),
+      pool.query(`SELECT COUNT(*) AS total FROM estabelecimentos e ${whereClause}`, countParams)
+    ]);
+    res.set('X-Total-Count', countResult.rows[0].total);
+    res.status(200).json(result.rows);
   } catch (err) {
-    console.error(`❌ Erro ao excluir o estabelecimento ${id}:`, err.stack);
-    res.status(500).json({ message: 'Erro ao excluir o estabelecimento.' });
+    console.error('❌ Erro ao listar estabelecimentos para moderação:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os estabelecimentos.' });
   }
 });
 
-// Rota para listar as reservas de um estabelecimento (Lojista)
-app.get('/api/estabelecimentos/:id/reservas', lojistaRequired, async (req, res) => {
+// Rota para moderar um estabelecimento: transferir para outro lojista (userId) e suspender/reativar (active).
+// Um estabelecimento suspenso some da busca, não recebe reservas e não envia avisos; os avisos agendados são cancelados.
+app.patch('/api/admin/estabelecimentos/:id', adminRequired, async (req, res) => {
   const { id } = req.params;
-  const userId = req.user.userId;
+  const { userId, active, moderationNote } = req.body;
+  const adminId = req.user.userId;
 
-  console.log(`➡️  GET /api/estabelecimentos/${id}/reservas - Solicitado pelo lojista ${userId}`);
+  console.log(`➡️  PATCH /api/admin/estabelecimentos/${id} (userId: ${userId ?? '-'}, active: ${active ?? '-'}) pelo admin ${adminId}`);
+
+  if (userId === undefined && active === undefined && moderationNote === undefined) {
+    return res.status(400).json({ message: 'Informe userId, active e/ou moderationNote.' });
+  }
+  if (userId !== undefined && !Number.isInteger(userId)) {
+    return res.status(400).json({ message: 'userId deve ser o ID de um lojista.' });
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return res.status(400).json({ message: 'active deve ser true ou false.' });
+  }
 
+  const client = await pool.connect();
   try {
-    // Verifica se o estabelecimento pertence ao lojista
-    const verifyOwner = await pool.query('SELECT id FROM estabelecimentos WHERE id = $1 AND user_id = $2', [id, userId]);
-    if (verifyOwner.rowCount === 0) {
-      return res.status(403).json({ message: 'Você não tem permissão para ver as reservas deste estabelecimento.' });
+    if (userId !== undefined) {
+      const ownerResult = await client.query('SELECT role, is_active FROM users WHERE id = $1', [userId]);
+      if (ownerResult.rowCount === 0 || ownerResult.rows[0].role !== 'lojista' || !ownerResult.rows[0].is_active) {
+        return res.status(400).json({ message: 'O novo dono precisa ser um lojista ativo.' });
+      }
     }
 
-    const query = `
-      SELECT r.id, r.created_at, r.reservation_time, u.name as user_name, u.email as user_email
-      FROM reservations r
-      JOIN users u ON r.user_id = u.id
-      WHERE r.establishment_id = $1
-      ORDER BY r.created_at DESC
-    `;
-    const result = await pool.query(query, [id]);
-    res.status(200).json(result.rows);
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE estabelecimentos
+       SET user_id = COALESCE($1, user_id), is_active = COALESCE($2, is_active),
+           moderation_note = CASE WHEN $3::boolean THEN $4 ELSE moderation_note END
+       WHERE id = $5
+       RETURNING id, nome, user_id, is_active, moderation_note`,
+      [userId ?? null, active ?? null, moderationNote !== undefined, moderationNote || null, id]
+    );
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Estabelecimento não encontrado.' });
+    }
+    if (active === false) {
+      await client.query(`UPDATE broadcasts SET status = 'cancelado' WHERE estabelecimento_id = $1 AND status = 'agendado'`, [id]);
+    }
+    await client.query('COMMIT');
+
+    console.log(`✅ Estabelecimento ${id} moderado pelo admin ${adminId}.`);
+    res.status(200).json(result.rows[0]);
   } catch (err) {
-    console.error(`❌ Erro ao buscar reservas do estabelecimento ${id}:`, err.stack);
-    res.status(500).json({ message: 'Erro ao buscar reservas.' });
+    await client.query('ROLLBACK');
+    console.error(`❌ Erro ao moderar o estabelecimento ${id}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar o estabelecimento.' });
+  } finally {
+    client.release();
   }
 });
 
-// --- ROTAS DE USUÁRIO LOGADO ---
+// Valida o limite de usos e a validade de um cupom, que podem mudar depois de criado
+const validatePromoCodeLimits = ({ maxRedemptions, expiresAt }) => {
+  if (maxRedemptions !== undefined && maxRedemptions !== null && !(Number.isInteger(maxRedemptions) && maxRedemptions >= 1)) {
+    return 'maxRedemptions deve ser um número inteiro maior que zero, ou null para ilimitado.';
+  }
+  if (expiresAt !== undefined && expiresAt !== null && (typeof expiresAt !== 'string' || isNaN(new Date(expiresAt).getTime()))) {
+    return 'expiresAt deve ser uma data e hora válida (ISO 8601).';
+  }
+  return null;
+};
 
-// Rota para buscar os estabelecimentos de um usuário logado
-app.get('/api/users/me/estabelecimentos', lojistaRequired, async (req, res) => {
-  const userId = req.user.userId;
-  console.log(`➡️  GET /api/users/me/estabelecimentos para o usuário ${userId}`);
+// Valida os campos de um cupom novo. Retorna a mensagem de erro ou null se estiver tudo certo.
+const validatePromoCodeInput = ({ code, type, value, freeMonths, planId, maxRedemptions, expiresAt }) => {
+  if (typeof code !== 'string' || !/^[A-Za-z0-9_-]{3,40}$/.test(code.trim())) {
+    return 'O código deve ter de 3 a 40 letras, números, "-" ou "_".';
+  }
+  if (!PROMO_CODE_TYPES.includes(type)) {
+    return `type deve ser ${PROMO_CODE_TYPES.join(', ')}.`;
+  }
+  if (type === 'periodo_gratis') {
+    if (!Number.isInteger(freeMonths) || freeMonths < 1 || freeMonths > MAX_PROMO_FREE_MONTHS) {
+      return `freeMonths deve ser um número inteiro entre 1 e ${MAX_PROMO_FREE_MONTHS}.`;
+    }
+  } else if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || (type === 'percentual' && value > 100)) {
+    return type === 'percentual' ? 'value deve ser um percentual entre 0 e 100.' : 'value deve ser um valor em reais maior que zero.';
+  }
+  if (planId !== undefined && planId !== null && !Number.isInteger(planId)) {
+    return 'planId deve ser o ID de um plano.';
+  }
+  return validatePromoCodeLimits({ maxRedemptions, expiresAt });
+};
 
-  try {
-    const query = `
-      SELECT 
-        e.id, e.nome, e.tipo, e.latitude, e.longitude, e.details,
-        COUNT(es.subscription_id) AS followers_count
-      FROM 
-        estabelecimentos e
-      LEFT JOIN 
-        establishment_subscriptions es ON e.id = es.estabelecimento_id
-      WHERE e.user_id = $1
-      GROUP BY e.id
-      ORDER BY e.id DESC;
-    `;
-    const result = await pool.query(query, [userId]);
+const PROMO_CODE_COLUMNS = `pc.id, pc.code, pc.description, pc.plan_id, pc.type, pc.value, pc.free_months, pc.max_redemptions,
+  pc.expires_at, pc.is_active, pc.created_at,
+  (SELECT COUNT(*)::int FROM promo_redemptions pr WHERE pr.promo_code_id = pc.id) AS redemptions,
+  (SELECT COALESCE(SUM(pr.discount_amount), 0) FROM promo_redemptions pr WHERE pr.promo_code_id = pc.id) AS total_discount`;
 
-    // Remonta o objeto completo que o frontend espera
-    const estabelecimentos = result.rows.map(row => ({
-      ...row,
-      followers_count: parseInt(row.followers_count, 10), // Garante que seja um número
-      ...row.details
-    }));
+// Rota para listar os cupons, com quantas vezes cada um foi usado e o desconto total concedido
+app.get('/api/admin/cupons', adminRequired, async (req, res) => {
+  const { ativo } = req.query;
+  console.log(`➡️  GET /api/admin/cupons (ativo: ${ativo ?? '-'})`);
+
+  const invalidParam = findNonStringQueryParam(req.query, ['ativo', 'limit', 'offset']);
+  if (invalidParam) {
+    return res.status(400).json({ message: `O parâmetro ${invalidParam} deve ser informado uma única vez.` });
+  }
+
+  const { limit, offset, error } = parsePagination(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  const params = [];
+  let whereClause = '';
+  if (ativo === 'true' || ativo === 'false') {
+    params.push(ativo === 'true');
+    whereClause = 'WHERE pc.is_active = $1';
+  }
 
-    res.status(200).json(estabelecimentos);
+  try {
+    const [result, countResult] = await Promise.all([
+      pool.query(
+        `SELECT ${PROMO_CODE_COLUMNS} FROM promo_codes pc ${whereClause}
+         ORDER BY pc.created_at DESC, pc.id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*) AS total FROM promo_codes pc ${whereClause}`, params)
+    ]);
+    res.set('X-Total-Count', countResult.rows[0].total);
+    res.status(200).json(result.rows);
   } catch (err) {
-    console.error(`❌ Erro ao buscar estabelecimentos do usuário ${userId}:`, err.stack);
-    res.status(500).json({ message: 'Erro ao buscar seus estabelecimentos.' });
+    console.error('❌ Erro ao listar cupons:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os cupons.' });
   }
 });
 
-// Rota para buscar os estabelecimentos que um usuário (cliente) segue
-app.get('/api/users/me/inscricoes', authRequired, async (req, res) => {
-  const userId = req.user.userId;
-  console.log(`➡️  GET /api/users/me/inscricoes para o usuário ${userId}`);
+// Rota para criar um cupom. O código é guardado em maiúsculas; planId nulo vale para qualquer plano pago.
+app.post('/api/admin/cupons', adminRequired, async (req, res) => {
+  const { code, description, type, value, freeMonths, planId = null, maxRedemptions = null, expiresAt = null, active = true } = req.body;
+  console.log(`➡️  POST /api/admin/cupons (${code}) pelo admin ${req.user.userId}`);
+
+  const validationError = validatePromoCodeInput({ code, type, value, freeMonths, planId, maxRedemptions, expiresAt });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
 
   try {
-    const query = `
-      SELECT DISTINCT
-        e.id, e.nome, e.tipo, e.latitude, e.longitude, e.details
-      FROM
-        estabelecimentos e
-      JOIN
-        establishment_subscriptions es ON e.id = es.estabelecimento_id
-      JOIN
-        subscriptions s ON es.subscription_id = s.id
-      WHERE
-        s.user_id = $1
-      ORDER BY
-        e.nome;
-    `;
-    const result = await pool.query(query, [userId]);
+    if (planId !== null) {
+      const planResult = await pool.query('SELECT 1 FROM plans WHERE id = $1', [planId]);
+      if (planResult.rowCount === 0) {
+        return res.status(400).json({ message: 'Plano não encontrado.' });
+      }
+    }
 
-    const estabelecimentos = result.rows.map(row => ({
-      ...row,
-      ...row.details
-    }));
-    res.status(200).json(estabelecimentos);
+    const insertResult = await pool.query(
+      `INSERT INTO promo_codes (code, description, plan_id, type, value, free_months, max_redemptions, expires_at, is_active, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        normalizePromoCode(code), description || null, planId, type,
+        type === 'periodo_gratis' ? null : value, type === 'periodo_gratis' ? freeMonths : null,
+        maxRedemptions, expiresAt, active !== false, req.user.userId
+      ]
+    );
+    const result = await pool.query(`SELECT ${PROMO_CODE_COLUMNS} FROM promo_codes pc WHERE pc.id = $1`, [insertResult.rows[0].id]);
+    console.log(`✅ Cupom ${result.rows[0].code} criado.`);
+    res.status(201).json(result.rows[0]);
   } catch (err) {
-    console.error(`❌ Erro ao buscar inscrições do usuário ${userId}:`, err.stack);
-    res.status(500).json({ message: 'Erro ao buscar suas inscrições.' });
+    if (err.code === '23505') {
+      return res.status(409).json({ message: 'Já existe um cupom com este código.' });
+    }
+    console.error('❌ Erro ao criar cupom:', err.stack);
+    res.status(500).json({ message: 'Erro ao salvar o cupom.' });
   }
 });
 
-// --- ROTAS DE PLANOS ---
+// Rota para encerrar ou prorrogar uma campanha: ativa/desativa o cupom e muda o limite de usos e a validade.
+// O código e o desconto não mudam depois de criados, para não alterar o que já foi resgatado.
+app.patch('/api/admin/cupons/:cupomId', adminRequired, async (req, res) => {
+  const { cupomId } = req.params;
+  const { active, maxRedemptions, expiresAt } = req.body;
+  console.log(`➡️  PATCH /api/admin/cupons/${cupomId} pelo admin ${req.user.userId}`);
+
+  if (active === undefined && maxRedemptions === undefined && expiresAt === undefined) {
+    return res.status(400).json({ message: 'Informe active, maxRedemptions e/ou expiresAt.' });
+  }
+  if (active !== undefined && typeof active !== 'boolean') {
+    return res.status(400).json({ message: 'active deve ser true ou false.' });
+  }
+  const validationError = validatePromoCodeLimits({ maxRedemptions, expiresAt });
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
 
-// Rota para listar os planos disponíveis
-app.get('/api/plans', authRequired, async (req, res) => {
-  console.log('➡️  GET /api/plans - Listando planos');
   try {
-    const result = await pool.query('SELECT id, name, description, benefits, price FROM plans WHERE is_active = true ORDER BY price');
-    res.status(200).json(result.rows);
+    const result = await pool.query(
+      `UPDATE promo_codes
+       SET is_active = COALESCE($1, is_active),
+           max_redemptions = CASE WHEN $2::boolean THEN $3 ELSE max_redemptions END,
+           expires_at = CASE WHEN $4::boolean THEN $5::timestamptz ELSE expires_at END
+       WHERE id = $6
+       RETURNING id`,
+      [active ?? null, maxRedemptions !== undefined, maxRedemptions ?? null, expiresAt !== undefined, expiresAt ?? null, cupomId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Cupom não encontrado.' });
+    }
+    const updated = await pool.query(`SELECT ${PROMO_CODE_COLUMNS} FROM promo_codes pc WHERE pc.id = $1`, [cupomId]);
+    console.log(`✅ Cupom ${cupomId} atualizado.`);
+    res.status(200).json(updated.rows[0]);
   } catch (err) {
-    console.error('❌ Erro ao buscar planos:', err.stack);
-    res.status(500).json({ message: 'Erro ao buscar os planos.' });
+    console.error(`❌ Erro ao atualizar o cupom ${cupomId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao atualizar o cupom.' });
   }
 });
 
-// Rota para um usuário atualizar seu plano
-app.put('/api/users/me/plan', authRequired, async (req, res) => {
-  const userId = req.user.userId;
-  const { planId } = req.body;
+// Relatório de um cupom: cada resgate com o usuário, o plano, o desconto e o valor pago, e os totais da campanha
+app.get('/api/admin/cupons/:cupomId/resgates', adminRequired, async (req, res) => {
+  const { cupomId } = req.params;
+  console.log(`➡️  GET /api/admin/cupons/${cupomId}/resgates`);
 
-  console.log(`➡️  PUT /api/users/me/plan - Usuário ${userId} selecionou o plano ${planId}`);
+  try {
+    const promoResult = await pool.query(`SELECT ${PROMO_CODE_COLUMNS} FROM promo_codes pc WHERE pc.id = $1`, [cupomId]);
+    if (promoResult.rowCount === 0) {
+      return res.status(404).json({ message: 'Cupom não encontrado.' });
+    }
 
-  if (typeof planId !== 'number') {
-    return res.status(400).json({ message: 'O ID do plano é obrigatório.' });
+    const redemptionsResult = await pool.query(
+      `SELECT pr.id, pr.user_id, u.email AS user_email, pr.plan_id, p.name AS plan_name,
+         pr.discount_amount, ps.amount AS amount_paid, ps.period_months, ps.status AS subscription_status, pr.created_at
+       FROM promo_redemptions pr
+       LEFT JOIN users u ON u.id = pr.user_id
+       LEFT JOIN plans p ON p.id = pr.plan_id
+       LEFT JOIN plan_subscriptions ps ON ps.id = pr.plan_subscription_id
+       WHERE pr.promo_code_id = $1
+       ORDER BY pr.created_at DESC`,
+      [cupomId]
+    );
+    const pendingResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM plan_subscriptions WHERE promo_code_id = $1 AND status = 'pendente'`,
+      [cupomId]
+    );
+    const amountPaid = redemptionsResult.rows.reduce((sum, row) => sum + Math.round(Number(row.amount_paid || 0) * 100), 0) / 100;
+
+    res.status(200).json({
+      cupom: promoResult.rows[0],
+      pending_checkouts: pendingResult.rows[0].total,
+      amount_paid: amountPaid,
+      redemptions: redemptionsResult.rows
+    });
+  } catch (err) {
+    console.error(`❌ Erro ao gerar o relatório do cupom ${cupomId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os resgates do cupom.' });
   }
+});
 
+// Rota para ver a última execução de cada job agendado
+app.get('/api/admin/jobs', adminRequired, async (req, res) => {
+  console.log('➡️  GET /api/admin/jobs');
   try {
-    await pool.query('UPDATE users SET current_plan = $1 WHERE id = $2', [planId, userId]);
-    res.status(200).json({ message: 'Plano atualizado com sucesso!' });
+    const result = await pool.query(
+      `SELECT name, last_status, last_started_at, last_finished_at, last_duration_ms, last_error, locked_by
+       FROM scheduled_jobs ORDER BY name`
+    );
+    res.status(200).json(result.rows);
   } catch (err) {
-    console.error(`❌ Erro ao atualizar plano para o usuário ${userId}:`, err.stack);
-    res.status(500).json({ message: 'Erro ao atualizar o plano.' });
+    console.error('❌ Erro ao buscar os jobs agendados:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os jobs.' });
   }
 });
+
 // --- ROTAS DE AUTENTICAÇÃO ---
 
 app.post('/api/auth/register', async (req, res) => {
@@ -452,16 +3901,7 @@ app.post('/api/auth/login', async (req, res) => {
   }
 
   try {
-    const query = `
-      SELECT 
-        u.id, u.email, u.name, u.role, u.password_hash,
-        p.id as plan_id, p.name as plan_name, p.description as plan_description
-      FROM 
-        users u
-      LEFT JOIN 
-        plans p ON u.current_plan = p.id
-      WHERE u.email = $1`;
-    const result = await pool.query(query, [email]);
+    const result = await pool.query('SELECT id, password_hash, is_active FROM users WHERE email = $1', [email]);
     const user = result.rows[0];
 
     if (!user) {
@@ -474,22 +3914,16 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ message: 'Credenciais inválidas.' }); // Senha incorreta
     }
 
-    // Monta o objeto do plano para o JWT
-    const plan = user.plan_id ? {
-      id: user.plan_id,
-      name: user.plan_name,
-      description: user.plan_description
-    } : null;
-
-    // Gera o token JWT
-    const tokenPayload = {
-      userId: user.id, email: user.email, name: user.name, role: user.role,
-      plan: plan
-    };
+    if (!user.is_active) {
+      return res.status(403).json({ message: 'Esta conta foi desativada.' });
+    }
 
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Abre uma sessão e gera o token de acesso com os dados do plano atual
+    const userResult = await pool.query(TOKEN_USER_QUERY, [user.id]);
+    const tokens = await createUserSession(pool, userResult.rows[0], req);
 
-    res.json({ token });
+    console.log(`✅ Login do usuário ${user.id}.`);
+    res.json(tokens);
 
   } catch (err) {
     console.error('❌ Erro no login:', err.stack);
@@ -497,46 +3931,125 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// Rota para obter um novo token com dados atualizados
-app.get('/api/auth/refresh', authRequired, async (req, res) => {
-  const userId = req.user.userId;
-  console.log(`➡️  GET /api/auth/refresh para o usuário ${userId}`);
+// Rota para trocar o refresh token por um novo par de tokens (rotação). É a única forma de renovar o acesso,
+// inclusive para receber os dados atuais do plano depois de uma troca.
+// Não exige o token de acesso, que normalmente já expirou quando o cliente chama esta rota.
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(400).json({ message: 'refreshToken é obrigatório.' });
+  }
+  const tokenHash = hashRefreshToken(refreshToken);
 
+  const client = await pool.connect();
   try {
-    // Busca os dados mais recentes do usuário e do seu plano no banco
-    const query = `
-      SELECT 
-        u.id, u.email, u.name, u.role,
-        p.id as plan_id, p.name as plan_name, p.description as plan_description, p.benefits as plan_benefits, p.price as plan_price
-      FROM 
-        users u
-      LEFT JOIN 
-        plans p ON u.current_plan = p.id
-      WHERE u.id = $1`;
-    const result = await pool.query(query, [userId]);
-    const user = result.rows[0];
+    await client.query('BEGIN');
 
-    if (!user) {
-      return res.status(404).json({ message: 'Usuário não encontrado.' });
+    const sessionResult = await client.query(
+      `SELECT id, user_id, refresh_token_hash, revoked_at, expires_at
+       FROM user_sessions
+       WHERE refresh_token_hash = $1 OR previous_token_hash = $1
+       FOR UPDATE`,
+      [tokenHash]
+    );
+    const session = sessionResult.rows[0];
+
+    if (!session || session.revoked_at || session.expires_at <= new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ message: 'Sessão encerrada. Faça login novamente.' });
     }
 
-    // Monta o objeto do plano para o novo JWT
-    const plan = user.plan_id ? {
-      id: user.plan_id,
-      name: user.plan_name,
-      description: user.plan_description,
-      benefits: user.plan_benefits,
-      price: user.plan_price
-    } : null;
+    // Refresh token já trocado sendo usado de novo: alguém tem uma cópia dele. Encerra a sessão.
+    if (session.refresh_token_hash !== tokenHash) {
+      await client.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'reuso' WHERE id = $1`,
+        [session.id]
+      );
+      await client.query('COMMIT');
+      console.warn(`⚠️ [AUTH] Refresh token reutilizado na sessão ${session.id} do usuário ${session.user_id}. Sessão encerrada.`);
+      return res.status(401).json({ message: 'Sessão encerrada. Faça login novamente.' });
+    }
 
-    // Gera um novo token com as informações atualizadas
-    const token = jwt.sign({ userId: user.id, email: user.email, name: user.name, role: user.role, plan: plan }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const userResult = await client.query(TOKEN_USER_QUERY, [session.user_id]);
+    const user = userResult.rows[0];
+    if (!user.is_active) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ message: 'Esta conta foi desativada.' });
+    }
 
-    res.json({ token });
+    const newRefreshToken = crypto.randomBytes(32).toString('base64url');
+    await client.query(
+      `UPDATE user_sessions
+       SET refresh_token_hash = $1, previous_token_hash = $2, last_used_at = NOW(),
+           expires_at = NOW() + make_interval(days => $3)
+       WHERE id = $4`,
+      [hashRefreshToken(newRefreshToken), tokenHash, REFRESH_TOKEN_DAYS, session.id]
+    );
+    await client.query('COMMIT');
 
+    res.json(formatSessionTokens(user, session.id, newRefreshToken));
   } catch (err) {
-    console.error(`❌ Erro ao atualizar token para o usuário ${userId}:`, err.stack);
+    await client.query('ROLLBACK');
+    console.error('❌ Erro ao renovar a sessão:', err.stack);
     res.status(500).json({ message: 'Erro interno ao atualizar o token.' });
+  } finally {
+    client.release();
+  }
+});
+
+// Rota para sair: encerra a sessão do token atual.
+// Com { "all": true } encerra todas as sessões do usuário ("sair de todos os dispositivos").
+app.post('/api/auth/logout', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  const all = req.body?.all === true;
+  console.log(`➡️  POST /api/auth/logout para o usuário ${userId}${all ? ' (todos os dispositivos)' : ''}`);
+
+  try {
+    if (all) {
+      await revokeUserSessions(pool, userId, 'logout_todos');
+    } else if (req.user.sid) {
+      await pool.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'logout'
+         WHERE id = $1 AND revoked_at IS NULL`,
+        [req.user.sid]
+      );
+    } else {
+      // Token antigo, sem sessão: não há como encerrá-lo sozinho, então invalida todos os tokens do usuário
+      await revokeUserSessions(pool, userId, 'logout');
+    }
+
+    console.log(`✅ Usuário ${userId} saiu${all ? ' de todos os dispositivos' : ''}.`);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro no logout do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao encerrar a sessão.' });
+  }
+});
+
+// Rota para listar as sessões abertas do usuário (dispositivos conectados).
+app.get('/api/auth/sessoes', authRequired, async (req, res) => {
+  const userId = req.user.userId;
+  console.log(`➡️  GET /api/auth/sessoes para o usuário ${userId}`);
+
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY COALESCE(last_used_at, created_at) DESC`,
+      [userId]
+    );
+    res.status(200).json(result.rows.map(session => ({
+      id: session.id,
+      userAgent: session.user_agent,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      expiresAt: session.expires_at,
+      current: session.id === req.user.sid
+    })));
+  } catch (err) {
+    console.error(`❌ Erro ao listar as sessões do usuário ${userId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar as sessões.' });
   }
 });
 
@@ -586,31 +4099,6 @@ app.post('/api/auth/sync', authRequired, async (req, res) => {
   }
 });
 
-// --- Middleware para autenticação opcional ---
-// Este middleware verifica se há um token, decodifica-o e anexa o usuário à requisição (req.user).
-// Se não houver token, ele simplesmente continua, permitindo o acesso anônimo.
-const optionalAuth = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  if (!authHeader) {
-    return next(); // Nenhum token, continua como anônimo
-  }
-
-  const token = authHeader.split(' ')[1]; // Formato "Bearer TOKEN"
-  if (!token) {
-    return next();
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Anexa os dados do usuário (ex: { userId: 1, email: '...' })
-  } catch (err) {
-    // Token inválido ou expirado, ignora e continua como anônimo
-    console.warn('Token inválido recebido:', err.message);
-  }
-  next();
-};
-
-
 app.post('/api/subscribe', optionalAuth, async (req, res) => {
   const { subscription, estabelecimentoId } = req.body;
   const userId = req.user?.userId || null; // Pega o ID do usuário do middleware, ou null se for anônimo
@@ -633,7 +4121,33 @@ app.post('/api/subscribe', optionalAuth, async (req, res) => {
 
     // 2. Cria a ligação entre a inscrição e o estabelecimento, SE NÃO FOR UMA INSCRIÇÃO DE LOJISTA.
     // O ID -1 é um sinalizador vindo do frontend para indicar que é apenas o registro do dispositivo do lojista.
+    let followQuota = null;
     if (estabelecimentoId !== -1) {
+      // Seguir de novo um estabelecimento (ex: em outro dispositivo) não conta para o limite do plano
+      const alreadyFollowing = await pool.query(
+        `SELECT 1 FROM establishment_subscriptions es
+         JOIN subscriptions s ON s.id = es.subscription_id
+         WHERE es.estabelecimento_id = $1 AND (s.id = $2 OR s.user_id = $3)
+         LIMIT 1`,
+        [estabelecimentoId, subscriptionId, userId]
+      );
+      followQuota = await checkEntitlement(pool, userId, 'maxFollows', {
+        subscriptionId,
+        requested: alreadyFollowing.rowCount > 0 ? 0 : 1
+      });
+      if (!followQuota.allowed) {
+        console.log(`[SUBSCRIBE] Bloqueado: limite de ${followQuota.limit} estabelecimentos seguidos do plano ${followQuota.planId}.`);
+        return res.status(403).json({
+          title: 'Limite de Estabelecimentos Seguidos',
+          message: `Você já segue ${followQuota.used} estabelecimentos, o máximo do seu plano. Deixe de seguir algum ou conheça nossos planos para seguir mais padarias!`,
+          limitReached: true,
+          quota: formatQuota(followQuota)
+        });
+      }
+      if (alreadyFollowing.rowCount === 0) {
+        followQuota = { ...followQuota, used: followQuota.used + 1, remaining: followQuota.limit === null ? null : followQuota.remaining - 1 };
+      }
+
       const linkQuery = `
         INSERT INTO establishment_subscriptions (subscription_id, estabelecimento_id) VALUES ($1, $2)
         ON CONFLICT (subscription_id, estabelecimento_id) DO NOTHING;
@@ -654,33 +4168,25 @@ app.post('/api/subscribe', optionalAuth, async (req, res) => {
         const establishmentName = ownerResult.rows[0].nome;
         console.log(`[NOTIFY-LOJISTA] Novo seguidor para "${establishmentName}". Dono (ID: ${ownerId}) identificado. Buscando suas inscrições...`);
 
-        // 4. Busca todas as inscrições de notificação associadas ao ID do lojista.
-        const ownerSubscriptionsResult = await pool.query(
-          'SELECT subscription_data FROM subscriptions WHERE user_id = $1',
-          [ownerId]
-        );
-
-        const ownerSubscriptions = ownerSubscriptionsResult.rows.map(row => row.subscription_data);
-
-        if (ownerSubscriptions.length > 0) {
-          console.log(`[NOTIFY-LOJISTA] Encontradas ${ownerSubscriptions.length} inscrições para o lojista. Enviando notificações...`);
-          const baseUrl = process.env.APP_BASE_URL || '';
-          const notificationPayload = JSON.stringify({
-            notification: {
-              title: 'Novo Seguidor!',
-              body: `Parabéns! ${establishmentName} tem um novo seguidor.`,
-              icon: 'assets/icons/icon-192x192.png',
-              data: {
-                onActionClick: {
-                  default: { operation: 'navigateLastFocusedOrOpen', url: `${baseUrl}/meus-estabelecimentos` }
-                }
-              }
+        // 4. Enfileira a notificação para todos os dispositivos do lojista.
+        const baseUrl = process.env.APP_BASE_URL || '';
+        const copy = await resolveNotificationCopy('novo_seguidor', estabelecimentoId, { estabelecimento: establishmentName }, {
+          title: 'Novo Seguidor!',
+          body: `Parabéns! ${establishmentName} tem um novo seguidor.`
+        });
+        const deviceCount = await sendPushToUser(ownerId, {
+          title: copy.title,
+          body: copy.body,
+          icon: 'assets/icons/icon-192x192.png',
+          data: {
+            onActionClick: {
+              default: { operation: 'navigateLastFocusedOrOpen', url: `${baseUrl}/meus-estabelecimentos` }
             }
-          });
+          }
+        }, { type: NOTIFICATION_TYPES.NOVO_SEGUIDOR, estabelecimentoId });
 
-          // Envia a notificação para cada dispositivo do lojista.
-          const promises = ownerSubscriptions.map(sub => webpush.sendNotification(sub, notificationPayload));
-          await Promise.allSettled(promises);
+        if (deviceCount > 0) {
+          console.log(`[NOTIFY-LOJISTA] Notificação enfileirada para ${deviceCount} dispositivo(s) do lojista.`);
         } else {
           console.log(`[NOTIFY-LOJISTA] O lojista (ID: ${ownerId}) não possui inscrições de notificação ativas.`);
         }
@@ -690,7 +4196,7 @@ app.post('/api/subscribe', optionalAuth, async (req, res) => {
       console.error('⚠️ Erro ao tentar notificar o lojista sobre novo seguidor:', notifyErr.stack);
     }
 
-    res.status(201).json({ message: 'Inscrição realizada com sucesso.' });
+    res.status(201).json({ message: 'Inscrição realizada com sucesso.', ...(followQuota && { quota: formatQuota(followQuota) }) });
   } catch (err) {
     console.error('❌ Erro ao salvar inscrição:', err.stack);
     res.status(500).json({ message: 'Erro ao salvar inscrição.' });
@@ -727,31 +4233,234 @@ app.delete('/api/unsubscribe', async (req, res) => {
       'DELETE FROM establishment_subscriptions WHERE subscription_id = $1 AND estabelecimento_id = $2',
       [subscriptionId, estabelecimentoId]
     );
-    console.log(`[UNSUB] Operação de DELETE afetou ${deleteResult.rowCount} linha(s).`);
+    console.log(`[UNSUB] Operação de DELETE afetou ${deleteResult.rowCount} linha(s).`);
+
+    res.status(200).json({ message: 'Inscrição cancelada com sucesso.' });
+  } catch (err) {
+    // Este log agora deve capturar qualquer erro inesperado durante o processo.
+    console.error('❌ Erro ao cancelar inscrição:', err.stack);
+    res.status(500).json({ message: 'Erro ao cancelar inscrição.' });
+  }
+});
+
+// Rota chamada pelo Service Worker quando o usuário clica (ou abre) uma notificação.
+// O ID vem em data.notificationId e o endpoint identifica o dispositivo.
+app.post('/api/notificacoes/:notificationId/clique', async (req, res) => {
+  const { notificationId } = req.params;
+  const { endpoint } = req.body || {};
+
+  console.log(`➡️  POST /api/notificacoes/${notificationId}/clique`);
+
+  if (!endpoint) {
+    return res.status(400).json({ message: 'O endpoint do dispositivo é obrigatório.' });
+  }
+
+  try {
+    // Só o primeiro clique de cada dispositivo é registrado
+    await pool.query(
+      `UPDATE push_queue q SET clicked_at = NOW()
+       FROM subscriptions s
+       WHERE q.notification_id = $1 AND q.subscription_id = s.id
+         AND s.subscription_data->>'endpoint' = $2 AND q.clicked_at IS NULL`,
+      [notificationId, endpoint]
+    );
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro ao registrar clique na notificação ${notificationId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao registrar o clique.' });
+  }
+});
+
+// Preferências de uma linha de establishment_subscriptions no formato exposto pela API
+const formatSubscriptionPreferences = (row) => ({
+  mutedLeadTimes: row.muted_lead_times,
+  fornadaIds: row.fornada_ids,
+  productIds: row.product_ids,
+  tags: row.tags
+});
+
+// Rota para o inscrito ver os avisos de um estabelecimento, quais deles silenciou e o que segue neste dispositivo
+app.get('/api/subscribe/preferencias', async (req, res) => {
+  const { endpoint, estabelecimentoId } = req.query;
+
+  console.log(`➡️  GET /api/subscribe/preferencias para o estabelecimento ${estabelecimentoId} no dispositivo ${endpoint}`);
+
+  if (!endpoint || !estabelecimentoId) {
+    return res.status(400).json({ message: 'Endpoint e ID do estabelecimento são obrigatórios.' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT e.notification_lead_times, es.muted_lead_times, es.fornada_ids, es.product_ids, es.tags
+       FROM establishment_subscriptions es
+       JOIN subscriptions s ON s.id = es.subscription_id
+       JOIN estabelecimentos e ON e.id = es.estabelecimento_id
+       WHERE s.subscription_data->>'endpoint' = $1 AND es.estabelecimento_id = $2`,
+      [endpoint, estabelecimentoId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Inscrição não encontrada para este dispositivo.' });
+    }
+
+    res.status(200).json({
+      leadTimes: result.rows[0].notification_lead_times,
+      ...formatSubscriptionPreferences(result.rows[0])
+    });
+  } catch (err) {
+    console.error('❌ Erro ao buscar preferências de notificação:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar as preferências.' });
+  }
+});
+
+// Rota para o inscrito ajustar o que recebe de um estabelecimento: silenciar avisos específicos (ex: o de 1 hora antes)
+// e seguir só algumas fornadas, produtos ou etiquetas. Campos omitidos mantêm o valor atual; listas vazias removem o filtro.
+app.put('/api/subscribe/preferencias', async (req, res) => {
+  const { endpoint, estabelecimentoId, mutedLeadTimes, fornadaIds, productIds, tags } = req.body;
+
+  console.log(`➡️  PUT /api/subscribe/preferencias para o estabelecimento ${estabelecimentoId} no dispositivo ${endpoint}`);
+
+  if (!endpoint || !estabelecimentoId) {
+    return res.status(400).json({ message: 'Endpoint e ID do estabelecimento são obrigatórios.' });
+  }
+  if (mutedLeadTimes !== undefined && !isValidLeadTimeList(mutedLeadTimes, MAX_NOTIFICATION_LEAD_TIMES)) {
+    return res.status(400).json({ message: 'mutedLeadTimes deve ser uma lista de antecedências, em minutos.' });
+  }
+  if (fornadaIds !== undefined && (!Array.isArray(fornadaIds) || !fornadaIds.every(Number.isInteger))) {
+    return res.status(400).json({ message: 'fornadaIds deve ser uma lista de IDs de fornadas.' });
+  }
+  if (productIds !== undefined && (!Array.isArray(productIds) || !productIds.every(Number.isInteger))) {
+    return res.status(400).json({ message: 'productIds deve ser uma lista de IDs de produtos.' });
+  }
+  if (tags !== undefined && !isValidTagList(tags)) {
+    return res.status(400).json({ message: `tags deve ser uma lista de até ${MAX_TAGS} etiquetas com até ${MAX_TAG_LENGTH} caracteres.` });
+  }
+
+  try {
+    if (fornadaIds && fornadaIds.length > 0) {
+      const fornadasResult = await pool.query(
+        'SELECT COUNT(*)::int AS total FROM fornadas WHERE estabelecimento_id = $1 AND id = ANY($2::int[])',
+        [estabelecimentoId, fornadaIds]
+      );
+      if (fornadasResult.rows[0].total !== new Set(fornadaIds).size) {
+        return res.status(400).json({ message: 'Alguma das fornadas informadas não pertence a este estabelecimento.' });
+      }
+    }
+    if (productIds && !(await productsBelongToEstabelecimento(pool, productIds, estabelecimentoId))) {
+      return res.status(400).json({ message: 'Algum dos produtos informados não pertence a este estabelecimento.' });
+    }
+
+    const result = await pool.query(
+      `UPDATE establishment_subscriptions es
+       SET muted_lead_times = COALESCE($1, es.muted_lead_times),
+           fornada_ids = COALESCE($4, es.fornada_ids),
+           product_ids = COALESCE($5, es.product_ids),
+           tags = COALESCE($6, es.tags)
+       FROM subscriptions s
+       WHERE s.id = es.subscription_id AND s.subscription_data->>'endpoint' = $2 AND es.estabelecimento_id = $3
+       RETURNING es.muted_lead_times, es.fornada_ids, es.product_ids, es.tags`,
+      [
+        mutedLeadTimes ?? null, endpoint, estabelecimentoId,
+        fornadaIds ? [...new Set(fornadaIds)] : null,
+        productIds ? [...new Set(productIds)] : null,
+        tags ? normalizeTags(tags) : null
+      ]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Inscrição não encontrada para este dispositivo.' });
+    }
+
+    console.log(`✅ Preferências de notificação atualizadas: ${JSON.stringify(formatSubscriptionPreferences(result.rows[0]))}.`);
+    res.status(200).json(formatSubscriptionPreferences(result.rows[0]));
+  } catch (err) {
+    console.error('❌ Erro ao salvar preferências de notificação:', err.stack);
+    res.status(500).json({ message: 'Erro ao salvar as preferências.' });
+  }
+});
+
+// Rota para ver o horário de silêncio e a pausa de um dispositivo
+app.get('/api/subscribe/dispositivo', async (req, res) => {
+  const { endpoint } = req.query;
+
+  console.log(`➡️  GET /api/subscribe/dispositivo para o dispositivo ${endpoint}`);
+
+  if (!endpoint) {
+    return res.status(400).json({ message: 'O endpoint do dispositivo é obrigatório.' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT ${QUIET_HOURS_COLUMNS} FROM subscriptions WHERE subscription_data->>'endpoint' = $1`,
+      [endpoint]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Inscrição não encontrada para este dispositivo.' });
+    }
+    res.status(200).json(formatQuietHours(result.rows[0]));
+  } catch (err) {
+    console.error('❌ Erro ao buscar preferências do dispositivo:', err.stack);
+    res.status(500).json({ message: 'Erro ao buscar as preferências.' });
+  }
+});
+
+// Rota para definir o horário de silêncio e a pausa de um dispositivo (vale para todos os estabelecimentos seguidos nele)
+app.put('/api/subscribe/dispositivo', async (req, res) => {
+  const { endpoint } = req.body || {};
+
+  console.log(`➡️  PUT /api/subscribe/dispositivo para o dispositivo ${endpoint}`);
+
+  if (!endpoint) {
+    return res.status(400).json({ message: 'O endpoint do dispositivo é obrigatório.' });
+  }
+  const { columns, error } = parseQuietHoursInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const names = Object.keys(columns);
+    const result = await pool.query(
+      `UPDATE subscriptions SET ${names.map((name, i) => `${name} = $${i + 2}`).join(', ')}
+       WHERE subscription_data->>'endpoint' = $1
+       RETURNING ${QUIET_HOURS_COLUMNS}`,
+      [endpoint, ...Object.values(columns)]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ message: 'Inscrição não encontrada para este dispositivo.' });
+    }
 
-    res.status(200).json({ message: 'Inscrição cancelada com sucesso.' });
+    console.log('✅ Preferências do dispositivo atualizadas.');
+    res.status(200).json(formatQuietHours(result.rows[0]));
   } catch (err) {
-    // Este log agora deve capturar qualquer erro inesperado durante o processo.
-    console.error('❌ Erro ao cancelar inscrição:', err.stack);
-    res.status(500).json({ message: 'Erro ao cancelar inscrição.' });
+    console.error('❌ Erro ao salvar preferências do dispositivo:', err.stack);
+    res.status(500).json({ message: 'Erro ao salvar as preferências.' });
   }
 });
 
 app.post('/api/reserve', authRequired, async (req, res) => {
   let { establishmentId, reservationTime, fornadaId, reservationToken } = req.body;
+  let notificationId = null; // Notificação que levou o link de reserva, quando veio de um token
   const userId = req.user.userId; // O ID do usuário vem do token (middleware authRequired)
   const userName = req.user.name; // O nome do usuário vem do token (middleware authRequired)
 
   // Se um token foi fornecido, decodifica para obter os dados
   if (reservationToken) {
     const decoded = decodeReservationToken(reservationToken);
-    if (decoded) {
-      establishmentId = decoded.estId;
-      if (decoded.type === 'S') {
-        fornadaId = decoded.val;
-      } else {
-        reservationTime = decoded.val; // Tipos 'M' (Manual) e 'T' (Time) usam o valor como horário
-      }
+    if (!decoded) {
+      console.warn(`[RESERVE] Token de reserva inválido recebido do usuário ${userId}.`);
+      return res.status(400).json({ message: 'Link de reserva inválido.' });
+    }
+    if (decoded.expiresAt <= new Date()) {
+      console.log(`[RESERVE] Token de reserva expirado em ${decoded.expiresAt.toISOString()} (usuário ${userId}).`);
+      return res.status(410).json({ message: 'Este link de reserva expirou. Fique de olho na próxima fornada!', expired: true });
+    }
+    establishmentId = decoded.estId;
+    notificationId = decoded.notificationId;
+    if (decoded.type === 'S') {
+      fornadaId = decoded.val;
+    } else {
+      reservationTime = decoded.val; // Tipos 'M' (Manual) e 'T' (Time) usam o valor como horário
     }
   }
 
@@ -759,15 +4468,33 @@ app.post('/api/reserve', authRequired, async (req, res) => {
     return res.status(400).json({ message: 'ID do estabelecimento é obrigatório.' });
   }
 
+  // Itens do catálogo ({ productId, quantity }). Com itens, a quantidade da reserva é a soma deles.
+  const { items } = req.body;
+  if (items !== undefined && (!Array.isArray(items) || items.length === 0 ||
+      !items.every(item => item && Number.isInteger(item.productId) && Number.isInteger(item.quantity) && item.quantity > 0))) {
+    return res.status(400).json({ message: 'items deve ser uma lista de { productId, quantity } com quantidades maiores que zero.' });
+  }
+
+  const quantity = items ? items.reduce((sum, item) => sum + item.quantity, 0)
+    : (req.body.quantity === undefined ? 1 : req.body.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    return res.status(400).json({ message: 'A quantidade deve ser um número inteiro maior que zero.' });
+  }
+
   console.log(`➡️  POST /api/reserve - Usuário ${userName} solicitou reserva para o estabelecimento ${establishmentId}`);
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    // 1. Busca o usuário e bloqueia a linha para evitar race conditions
-    const userResult = await client.query('SELECT current_plan, reserve_count FROM users WHERE id = $1 FOR UPDATE', [userId]);
-    const user = userResult.rows[0];
+    // 1. Bloqueia a linha do usuário para que reservas simultâneas não passem da cota
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const estCheck = await client.query('SELECT is_active FROM estabelecimentos WHERE id = $1', [establishmentId]);
+    if (estCheck.rowCount === 0 || !estCheck.rows[0].is_active) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Estabelecimento não encontrado.' });
+    }
 
     // Verifica duplicidade (reserva criada nos últimos 30 segundos pelo mesmo usuário no mesmo local)
     const duplicateCheck = await client.query(
@@ -782,45 +4509,140 @@ app.post('/api/reserve', authRequired, async (req, res) => {
       return res.status(200).json({ message: 'Solicitação processada.' });
     }
 
-    // 2. Verifica se o usuário está no plano gratuito (0) e se atingiu o limite
-    if (user.current_plan === 0 && FREE_PLAN_RESERVATION_LIMIT > 0 && user.reserve_count >= FREE_PLAN_RESERVATION_LIMIT) {
-      console.log(`[RESERVE] Bloqueado: Usuário ${userId} (${userName}) atingiu o limite de ${FREE_PLAN_RESERVATION_LIMIT} reservas do plano gratuito.`);
+    // 2. Verifica se o plano do usuário ainda tem reservas disponíveis no ciclo atual
+    const quota = await checkEntitlement(client, userId, 'monthlyReservations');
+    if (!quota.allowed) {
+      console.log(`[RESERVE] Bloqueado: Usuário ${userId} (${userName}) atingiu o limite de ${quota.limit} reservas do plano ${quota.planId}.`);
       await client.query('ROLLBACK');
       return res.status(403).json({
         title: 'Limite de Reservas Atingido',
-        message: 'Que bom que você está aproveitando! 🧡 Você atingiu o limite de reservas deste mês no plano gratuito. Que tal dar uma olhada nos nossos planos para reservar pão quentinho sempre que quiser?',
-        limitReached: true
+        message: 'Que bom que você está aproveitando! 🧡 Você atingiu o limite de reservas deste mês no seu plano. Que tal dar uma olhada nos nossos planos para reservar pão quentinho sempre que quiser?',
+        limitReached: true,
+        quota: formatQuota(quota)
       });
     }
-
-    // 3. Se o limite não foi atingido, incrementa o contador de reservas.
-    await client.query(
-      'UPDATE users SET reserve_count = reserve_count + 1 WHERE id = $1',
-      [userId]
-    );
-    console.log(`[RESERVE] Contador de reservas incrementado para o usuário ${userId} - ${userName}.`);
+    // Cota depois desta reserva
+    const quotaAfter = { limit: quota.limit, used: quota.used + 1, remaining: quota.limit === null ? null : quota.remaining - 1 };
 
     let finalReservationTime = reservationTime;
+    let finalFornadaId = null;
 
-    // Se veio um ID de fornada, buscamos o horário e a descrição no cadastro do estabelecimento
+    // Se veio um ID de fornada, buscamos o horário na agenda do estabelecimento.
+    // IDs do antigo details.proximaFornada (links já enviados) são encontrados pelo legacy_id.
     if (fornadaId) {
-      const estResult = await client.query('SELECT details FROM estabelecimentos WHERE id = $1', [establishmentId]);
-      if (estResult.rowCount > 0) {
-        const fornadas = estResult.rows[0].details.proximaFornada || [];
-        // Encontra a fornada pelo ID (suporta estrutura nova de objetos)
-        const found = fornadas.find(f => f.id === fornadaId);
-        if (found) {
-          finalReservationTime = found.time;
-          console.log(`[RESERVE] Fornada ID ${fornadaId} resolvida para o horário ${finalReservationTime}.`);
-        }
+      const fornadaResult = await client.query(
+        `SELECT id, to_char(time, 'HH24:MI') AS time FROM fornadas
+         WHERE estabelecimento_id = $1 AND (id::text = $2 OR legacy_id = $2)`,
+        [establishmentId, String(fornadaId)]
+      );
+      if (fornadaResult.rowCount > 0) {
+        finalFornadaId = fornadaResult.rows[0].id;
+        finalReservationTime = fornadaResult.rows[0].time;
+        console.log(`[RESERVE] Fornada ID ${fornadaId} resolvida para o horário ${finalReservationTime}.`);
+      }
+    } else if (reservationTime) {
+      // Sem ID, tenta ligar a reserva à fornada de hoje com o mesmo horário
+      const fornadaResult = await client.query(
+        `SELECT id FROM fornadas_do_dia(${SAO_PAULO_NOW_SQL}::date)
+         WHERE estabelecimento_id = $1 AND to_char(time, 'HH24:MI') = $2
+         LIMIT 1`,
+        [establishmentId, reservationTime]
+      );
+      finalFornadaId = fornadaResult.rows[0]?.id || null;
+    }
+
+    // Confere os produtos pedidos: precisam ser do estabelecimento, estar ativos e, se a fornada
+    // tiver produtos definidos, sair nesta fornada. O preço vem do catálogo, nunca do cliente.
+    let reservationItems = [];
+    let total = null;
+    if (items) {
+      const productIds = [...new Set(items.map(item => item.productId))];
+      const productsResult = await client.query(
+        `SELECT p.id, p.name, p.price FROM products p
+         WHERE p.id = ANY($1::int[]) AND p.estabelecimento_id = $2 AND p.is_active
+           AND ($3::int IS NULL
+             OR NOT EXISTS (SELECT 1 FROM fornada_products fp WHERE fp.fornada_id = $3)
+             OR EXISTS (SELECT 1 FROM fornada_products fp WHERE fp.fornada_id = $3 AND fp.product_id = p.id))`,
+        [productIds, establishmentId, finalFornadaId]
+      );
+      if (productsResult.rowCount !== productIds.length) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Algum dos produtos escolhidos não está disponível nesta fornada.' });
+      }
+
+      const productsById = new Map(productsResult.rows.map(p => [p.id, p]));
+      reservationItems = items.map(item => {
+        const product = productsById.get(item.productId);
+        return { productId: product.id, name: product.name, unitPrice: product.price, quantity: item.quantity };
+      });
+      // Soma em centavos para evitar erros de arredondamento
+      const totalCents = reservationItems.reduce((sum, item) => sum + Math.round(Number(item.unitPrice) * 100) * item.quantity, 0);
+      total = totalCents / 100;
+    }
+
+    // Confere a capacidade da fornada. O bloqueio da linha serializa reservas simultâneas da mesma fornada.
+    if (finalFornadaId) {
+      await client.query('SELECT id FROM fornadas WHERE id = $1 FOR UPDATE', [finalFornadaId]);
+      const remainingResult = await client.query(
+        `SELECT fornada_restante($1, ${SAO_PAULO_NOW_SQL}::date) AS remaining`,
+        [finalFornadaId]
+      );
+      const remaining = remainingResult.rows[0].remaining;
+      if (remaining !== null && quantity > remaining) {
+        console.log(`[RESERVE] Fornada ${finalFornadaId} sem unidades suficientes (pedido: ${quantity}, restam: ${remaining}).`);
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          message: remaining === 0 ? 'Esta fornada esgotou!' : `Restam apenas ${remaining} unidade(s) nesta fornada.`,
+          remaining,
+          soldOut: remaining === 0
+        });
+      }
+    }
+
+    // 3. Salva a reserva na tabela de histórico, ligada à ocorrência de hoje da fornada. É ela que conta na cota.
+    // O código de retirada é único entre todas as reservas: se o código sorteado já existir (inclusive em uma reserva
+    // sendo gravada ao mesmo tempo), o índice único recusa a linha e outro código é sorteado.
+    let pickupCode;
+    let reservationId = null;
+    for (let attempt = 1; reservationId === null && attempt <= PICKUP_CODE_MAX_ATTEMPTS; attempt++) {
+      pickupCode = generatePickupCode();
+      const insertResult = await client.query(
+        `INSERT INTO reservations (establishment_id, user_id, reservation_time, fornada_id, reservation_date, quantity, pickup_code, total, notification_id)
+         VALUES ($1, $2, $3, $4, ${SAO_PAULO_NOW_SQL}::date, $5, $6, $7, (SELECT id FROM notifications WHERE id = $8))
+         ON CONFLICT (pickup_code) DO NOTHING
+         RETURNING id`,
+        [establishmentId, userId, finalReservationTime, finalFornadaId, quantity, pickupCode, total, notificationId]
+      );
+      if (insertResult.rowCount > 0) {
+        reservationId = insertResult.rows[0].id;
       }
     }
+    if (reservationId === null) {
+      await client.query('ROLLBACK');
+      console.error(`❌ [RESERVE] Nenhum código de retirada livre após ${PICKUP_CODE_MAX_ATTEMPTS} tentativas para o usuário ${userId}.`);
+      return res.status(500).json({ message: 'Erro ao processar a reserva.' });
+    }
 
-    // 4. Salva a reserva na tabela de histórico
-    await client.query('INSERT INTO reservations (establishment_id, user_id, reservation_time) VALUES ($1, $2, $3)', [establishmentId, userId, finalReservationTime]);
-    console.log(`[RESERVE] Reserva registrada na tabela 'reservations' para o horário: ${finalReservationTime || 'N/A'}.`);
+    for (const item of reservationItems) {
+      await client.query(
+        `INSERT INTO reservation_items (reservation_id, product_id, product_name, unit_price, quantity)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [reservationId, item.productId, item.name, item.unitPrice, item.quantity]
+      );
+    }
+    console.log(`[RESERVE] Reserva ${reservationId} registrada na tabela 'reservations' para o horário: ${finalReservationTime || 'N/A'} (código ${pickupCode}).`);
+
+    // Dados que o cliente apresenta no balcão
+    const reservationResponse = {
+      reservationId,
+      pickupCode,
+      pickupQr: buildPickupQrPayload(pickupCode),
+      items: reservationItems.map(item => ({ ...item, unitPrice: Number(item.unitPrice) })),
+      total,
+      quota: quotaAfter
+    };
 
-    // 5. Encontra o dono (lojista) e o nome do estabelecimento para notificação.
+    // 4. Encontra o dono (lojista) e o nome do estabelecimento para notificação.
     const ownerResult = await pool.query(
       'SELECT user_id, nome FROM estabelecimentos WHERE id = $1',
       [establishmentId]
@@ -830,44 +4652,52 @@ app.post('/api/reserve', authRequired, async (req, res) => {
       console.warn(`[RESERVE] Lojista para o estabelecimento ${establishmentId} não encontrado. A reserva foi contada, mas a notificação não será enviada.`);
       // Mesmo sem lojista, a reserva do usuário foi contabilizada, então commitamos e retornamos sucesso.
       await client.query('COMMIT');
-      return res.status(200).json({ message: 'Solicitação processada.' });
+      return res.status(200).json({ message: 'Solicitação processada.', ...reservationResponse });
     }
 
     const ownerId = ownerResult.rows[0].user_id;
     const establishmentName = ownerResult.rows[0].nome;
 
-    // 6. Busca todas as inscrições de notificação associadas ao ID do lojista.
-    const ownerSubscriptionsResult = await pool.query(
-      'SELECT subscription_data FROM subscriptions WHERE user_id = $1',
-      [ownerId]
-    );
-
-    const ownerSubscriptions = ownerSubscriptionsResult.rows.map(row => row.subscription_data);
+    await client.query('COMMIT');
 
-    if (ownerSubscriptions.length > 0) {
-      console.log(`[RESERVE] Enviando notificação de reserva para ${ownerSubscriptions.length} dispositivo(s) do lojista.`);
+    // 5. Enfileira a notificação para todos os dispositivos do lojista. Falhas aqui não desfazem a reserva.
+    try {
+      // Descreve o pedido: itens do catálogo, quantidade de unidades ou apenas "parte" da fornada
+      let pedido = 'parte';
+      if (reservationItems.length > 0) {
+        pedido = reservationItems.map(item => `${item.quantity}x ${item.name}`).join(', ');
+      } else if (quantity > 1) {
+        pedido = `${quantity} unidades`;
+      }
       const baseUrl = process.env.APP_BASE_URL || '';
-      const notificationPayload = JSON.stringify({
-        notification: {
+      const copy = await resolveNotificationCopy(
+        'reserva',
+        establishmentId,
+        { estabelecimento: establishmentName, cliente: userName, pedido, horario: finalReservationTime },
+        {
           title: 'Solicitação de Reserva!',
-          body: `O cliente ${userName} deseja reservar parte da fornada ${finalReservationTime ? 'das ' + finalReservationTime + ' ' : ''}em ${establishmentName}!`,
-          icon: 'assets/icons/icon-192x192.png',
-          data: {
-            onActionClick: {
-              default: { operation: 'navigateLastFocusedOrOpen', url: `${baseUrl}/estabelecimento/${establishmentId}/reservas` }
-            }
+          body: `O cliente ${userName} deseja reservar ${pedido} da fornada ${finalReservationTime ? 'das ' + finalReservationTime + ' ' : ''}em ${establishmentName}!`
+        }
+      );
+      const deviceCount = await sendPushToUser(ownerId, {
+        title: copy.title,
+        body: copy.body,
+        icon: 'assets/icons/icon-192x192.png',
+        data: {
+          onActionClick: {
+            default: { operation: 'navigateLastFocusedOrOpen', url: `${baseUrl}/estabelecimento/${establishmentId}/reservas` }
           }
         }
-      });
-
-      const promises = ownerSubscriptions.map(sub => webpush.sendNotification(sub, notificationPayload));
-      await Promise.allSettled(promises);
+      }, { type: NOTIFICATION_TYPES.RESERVA, estabelecimentoId: establishmentId });
+      console.log(`[RESERVE] Notificação de reserva enfileirada para ${deviceCount} dispositivo(s) do lojista.`);
+    } catch (notifyErr) {
+      console.error(`⚠️ Erro ao notificar o lojista sobre a reserva ${reservationId}:`, notifyErr.stack);
     }
 
-    await client.query('COMMIT');
     res.status(200).json({ 
       message: 'Notificação de reserva enviada ao lojista.',
-      establishmentId: establishmentId 
+      establishmentId: establishmentId,
+      ...reservationResponse
     });
   } catch (err) {
     await client.query('ROLLBACK');
@@ -878,12 +4708,14 @@ app.post('/api/reserve', authRequired, async (req, res) => {
   }
 });
 
-app.post('/api/notify/:estabelecimentoId', async (req, res) => {
-    const { estabelecimentoId } = req.params;
-    const { message, title } = req.body || {}; // Garante que req.body não seja nulo
-
-    console.log(`➡️  POST /api/notify/${estabelecimentoId} - Disparando notificação manual...`);
+// --- Avisos Manuais (broadcasts) ---
 
+/**
+ * Envia um aviso manual para todos os seguidores do estabelecimento.
+ * Usado pela rota de envio imediato e pelo job que dispara os avisos agendados.
+ * Retorna o ID da notificação (null se não houver inscritos) e o número de destinatários.
+ */
+const dispatchManualBroadcast = async ({ broadcastId, estabelecimentoId, title, message }) => {
     let establishmentName = null; // Fallback padrão
 
     // Busca o nome do estabelecimento no banco de dados
@@ -895,50 +4727,91 @@ app.post('/api/notify/:estabelecimentoId', async (req, res) => {
     } catch (err) {
         console.error(`❌ Erro ao buscar nome do estabelecimento ${estabelecimentoId}:`, err.stack);
     }
-    try {
-        // Busca as inscrições para um estabelecimento específico, fazendo o JOIN com a tabela de junção
-        const query = `
-          SELECT s.subscription_data
-          FROM subscriptions s
-          JOIN establishment_subscriptions es ON s.id = es.subscription_id
-          WHERE es.estabelecimento_id = $1;
-        `;
-        const result = await pool.query(query, [estabelecimentoId]);
-        const subscriptions = result.rows.map(row => row.subscription_data);
 
-        if (subscriptions.length === 0) {
-          console.log(`[NOTIFY] Nenhum inscrito encontrado para o estabelecimento ${estabelecimentoId}.`);
-          return res.status(200).json({ message: 'Nenhum inscrito encontrado para este estabelecimento.' });
-        }
+    // Busca as inscrições para um estabelecimento específico, fazendo o JOIN com a tabela de junção.
+    // Quem pausou as notificações fica de fora; quem está em horário de silêncio recebe quando ele acabar.
+    const query = `
+      SELECT s.id, ${QUIET_UNTIL_SQL} AS quiet_until
+      FROM subscriptions s
+      JOIN establishment_subscriptions es ON s.id = es.subscription_id
+      LEFT JOIN users u ON u.id = s.user_id
+      WHERE es.estabelecimento_id = $1 AND ${NOT_PAUSED_SQL};
+    `;
+    const result = await pool.query(query, [estabelecimentoId]);
+    const subscriptionIds = result.rows.map(row => row.id);
+
+    if (subscriptionIds.length === 0) {
+      console.log(`[NOTIFY] Nenhum inscrito encontrado para o estabelecimento ${estabelecimentoId}.`);
+      await pool.query(
+        `UPDATE broadcasts SET status = 'enviado', sent_at = NOW(), recipients = 0 WHERE id = $1 AND status = 'enviando'`,
+        [broadcastId]
+      );
+      return { notificationId: null, recipients: 0 };
+    }
 
-        let notificationBody = message;
+    // Agrupa os inscritos pelo horário em que podem receber (null = agora)
+    const groups = new Map();
+    for (const row of result.rows) {
+      const key = row.quiet_until ? new Date(row.quiet_until).toISOString() : null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row.id);
+    }
+    const lastSendAt = Math.max(Date.now(), ...result.rows.map(row => (row.quiet_until ? new Date(row.quiet_until).getTime() : 0)));
 
-        // Se nenhuma mensagem foi enviada no corpo da requisição, busca uma aleatória no banco
-        if (!notificationBody) {
-          console.log('[NOTIFY] Nenhuma mensagem fornecida. Buscando mensagem aleatória no banco de dados...');
-          const messagesResult = await pool.query('SELECT message FROM notification_messages');
-          const randomMessages = messagesResult.rows;
+    // Frase aleatória (do estabelecimento ou global), usada no marcador {frase} e quando não há mensagem
+    const messagesResult = await pool.query(
+      'SELECT message, estabelecimento_id FROM notification_messages WHERE estabelecimento_id IS NULL OR estabelecimento_id = $1',
+      [estabelecimentoId]
+    );
+    const funPhrase = pickNotificationPhrase(messagesResult.rows, Number(estabelecimentoId));
+    if (!message) {
+      console.log(`[NOTIFY] Nenhuma mensagem fornecida. Usando o modelo ou a frase aleatória: "${funPhrase}"`);
+    }
 
-          if (randomMessages.length > 0) {
-            notificationBody = randomMessages[Math.floor(Math.random() * randomMessages.length)].message;
-            console.log(`[NOTIFY] Mensagem aleatória selecionada: "${notificationBody}"`);
-          }
+    // Pega o horário atual formatado para notificações manuais
+    const nowTime = new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', timeZone: 'America/Sao_Paulo' });
+    const baseUrl = process.env.APP_BASE_URL || '';
+
+    // O título e a mensagem do lojista também aceitam os marcadores dos modelos
+    const templateVars = { estabelecimento: establishmentName, horario: nowTime, frase: funPhrase };
+    const copy = await resolveNotificationCopy('manual', estabelecimentoId, templateVars, {
+      title: `Fornada Quentinha${establishmentName ? ' em ' + establishmentName : ''}!`,
+      body: funPhrase || 'Uma nova fornada acabou de sair! Venha conferir!' // Fallback final
+    });
+    const notificationTitle = title ? renderTemplate(title, templateVars) : copy.title;
+    const notificationText = message ? renderTemplate(message, templateVars) : copy.body;
+
+    // A notificação, os envios e o status 'enviado' do aviso são gravados juntos. Se o processo cair antes do
+    // COMMIT, nada foi enfileirado e o aviso preso em 'enviando' pode ser disparado de novo sem duplicar envios.
+    const client = await pool.connect();
+    let notificationId;
+    try {
+        await client.query('BEGIN');
+        // Outra instância pode ter retomado e concluído o aviso enquanto este disparo estava parado
+        const claimed = await client.query("SELECT id FROM broadcasts WHERE id = $1 AND status = 'enviando' FOR UPDATE", [broadcastId]);
+        if (claimed.rowCount === 0) {
+          await client.query('ROLLBACK');
+          console.warn(`⚠️ [NOTIFY] O aviso ${broadcastId} já foi disparado por outra execução. Ignorando.`);
+          return { notificationId: null, recipients: 0, skipped: true };
         }
 
-        // Pega o horário atual formatado para notificações manuais
-        const nowTime = new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', timeZone: 'America/Sao_Paulo' });
-        const baseUrl = process.env.APP_BASE_URL || '';
-        
-        // Gera um token único para esta notificação manual (Tipo 'M')
-        const reservationToken = generateReservationToken('M', estabelecimentoId, nowTime);
+        notificationId = await createNotification({
+          type: NOTIFICATION_TYPES.MANUAL,
+          estabelecimentoId,
+          title: notificationTitle,
+          body: notificationText
+        }, client);
+
+        // Gera um token único para esta notificação manual (Tipo 'M'), válido também para quem recebe depois do silêncio
+        const reservationToken = generateReservationToken('M', estabelecimentoId, nowTime, new Date(lastSendAt + RESERVATION_TOKEN_GRACE_MINUTES * 60000), notificationId);
         const encodedToken = encodeURIComponent(reservationToken);
 
         console.log(`[NOTIFY] URL de reserva manual gerada: /reservar/${encodedToken}`);
 
         const notificationPayload = {
             notification: {
-                title: title || `Fornada Quentinha${establishmentName ? ' em ' + establishmentName : ''}!`,
-                body: notificationBody || 'Uma nova fornada acabou de sair! Venha conferir!', // Fallback final
+                title: notificationTitle,
+                body: notificationText,
                 icon: 'assets/icons/icon-192x192.png',
                 // Adiciona os mesmos botões de ação das notificações automáticas
                 actions: [
@@ -955,33 +4828,234 @@ app.post('/api/notify/:estabelecimentoId', async (req, res) => {
             }
         };
 
-        const promises = subscriptions.map(sub =>
-            webpush.sendNotification(sub, JSON.stringify(notificationPayload))
+        // A fila de envio cuida das tentativas e da limpeza de inscrições expiradas
+        for (const [sendAt, ids] of groups) {
+          await enqueuePush(ids, notificationPayload.notification, notificationId, sendAt, client);
+          if (sendAt) {
+            console.log(`[NOTIFY] ${ids.length} inscritos em horário de silêncio receberão às ${sendAt}.`);
+          }
+        }
+
+
+        await client.query(
+          `UPDATE broadcasts SET status = 'enviado', sent_at = NOW(), notification_id = $2, recipients = $3 WHERE id = $1`,
+          [broadcastId, notificationId, subscriptionIds.length]
         );
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+    setImmediate(processPushQueue); // Os envios só ficaram visíveis agora, com o COMMIT
 
-        // Usamos Promise.allSettled para lidar com sucessos e falhas individualmente
-        const results = await Promise.allSettled(promises);
-
-        // Limpeza de inscrições expiradas
-        results.forEach((result, index) => {
-          if (result.status === 'rejected' && result.reason.statusCode === 410) {
-            const expiredSubscription = subscriptions[index];
-            const endpoint = expiredSubscription.endpoint;
-            console.log(`🗑️  Inscrição expirada detectada. Removendo do banco de dados: ${endpoint}`);
-            // A cláusula ON DELETE CASCADE no banco de dados cuidará de remover as entradas na tabela de junção.
-            pool.query("DELETE FROM subscriptions WHERE subscription_data->>'endpoint' = $1", [endpoint])
-              .catch(err => console.error(`❌ Erro ao remover inscrição expirada: ${err.stack}`));
+    console.log(`✅ Notificações manuais enfileiradas para ${subscriptionIds.length} inscritos.`);
+    return { notificationId, recipients: subscriptionIds.length };
+};
+
+/**
+ * Verifica os limites de avisos manuais do estabelecimento para um envio no horário informado.
+ * Contam os avisos já enviados e os agendados (cancelados não contam).
+ * Deve rodar na mesma transação do INSERT do aviso, com o estabelecimento travado (FOR UPDATE).
+ * Retorna null se o envio é permitido, ou a mensagem explicando o limite atingido.
+ */
+const checkBroadcastLimits = async (db, estabelecimentoId, sendAt) => {
+  const result = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE ABS(EXTRACT(EPOCH FROM (scheduled_for - $2::timestamptz))) < $3 * 60)::int AS nearby,
+       COUNT(*) FILTER (WHERE (scheduled_for AT TIME ZONE 'America/Sao_Paulo')::date = ($2::timestamptz AT TIME ZONE 'America/Sao_Paulo')::date)::int AS same_day
+     FROM broadcasts
+     WHERE estabelecimento_id = $1 AND status <> 'cancelado'`,
+    [estabelecimentoId, sendAt, BROADCAST_MIN_INTERVAL_MINUTES]
+  );
+  const { nearby, same_day } = result.rows[0];
+
+  if (nearby > 0) {
+    return `Os avisos do mesmo estabelecimento precisam de um intervalo de pelo menos ${BROADCAST_MIN_INTERVAL_MINUTES} minutos.`;
+  }
+  if (same_day >= BROADCAST_DAILY_LIMIT) {
+    return `O limite de ${BROADCAST_DAILY_LIMIT} avisos por dia para este estabelecimento foi atingido.`;
+  }
+  return null;
+};
+
+// Rota para o lojista enviar um aviso aos seguidores do estabelecimento, na hora ou agendado (scheduledFor)
+app.post('/api/notify/:estabelecimentoId', lojistaRequired, async (req, res) => {
+    const { estabelecimentoId } = req.params;
+    const { message, title, scheduledFor } = req.body || {}; // Garante que req.body não seja nulo
+    const userId = req.user.userId;
+
+    console.log(`➡️  POST /api/notify/${estabelecimentoId} - ${scheduledFor ? `Agendando notificação manual para ${scheduledFor}` : 'Disparando notificação manual'} (Usuário: ${userId})...`);
+
+    let sendAt = new Date();
+    if (scheduledFor !== undefined && scheduledFor !== null) {
+      sendAt = new Date(scheduledFor);
+      if (typeof scheduledFor !== 'string' || isNaN(sendAt.getTime())) {
+        return res.status(400).json({ message: 'scheduledFor deve ser uma data e hora válida (ISO 8601).' });
+      }
+      if (sendAt <= new Date()) {
+        return res.status(400).json({ message: 'O horário agendado precisa estar no futuro.' });
+      }
+      if (sendAt > new Date(Date.now() + BROADCAST_MAX_SCHEDULE_DAYS * 24 * 60 * 60000)) {
+        return res.status(400).json({ message: `Os avisos podem ser agendados para no máximo ${BROADCAST_MAX_SCHEDULE_DAYS} dias à frente.` });
+      }
+    }
+
+    let broadcastId = null;
+    try {
+        if (!(await isEstabelecimentoOwner(estabelecimentoId, userId))) {
+          return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+        }
+
+        // Confere os limites e registra o aviso na mesma transação. O lojista (limite do plano, somado entre os
+        // estabelecimentos) e o estabelecimento (intervalo e limite diário) ficam travados, então dois envios
+        // simultâneos não passam juntos pela verificação.
+        const client = await pool.connect();
+        let quotaAfter;
+        try {
+          await client.query('BEGIN');
+          await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+          const activeResult = await client.query('SELECT is_active FROM estabelecimentos WHERE id = $1 FOR UPDATE', [estabelecimentoId]);
+          if (activeResult.rowCount === 0) {
+            // Removido entre a verificação de dono e a trava
+            await client.query('ROLLBACK');
+            return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+          }
+          if (!activeResult.rows[0].is_active) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ message: 'Este estabelecimento está suspenso e não pode enviar avisos.' });
+          }
+
+          const limitMessage = await checkBroadcastLimits(client, estabelecimentoId, sendAt);
+          if (limitMessage) {
+            console.log(`[NOTIFY] Limite de avisos atingido para o estabelecimento ${estabelecimentoId}.`);
+            await client.query('ROLLBACK');
+            return res.status(429).json({ title: 'Limite de Avisos Atingido', message: limitMessage, limitReached: true });
+          }
+
+          // Avisos do ciclo permitidos pelo plano do lojista (somados entre todos os seus estabelecimentos)
+          const broadcastQuota = await checkEntitlement(client, userId, 'monthlyBroadcasts');
+          if (!broadcastQuota.allowed) {
+            console.log(`[NOTIFY] Lojista ${userId} atingiu o limite de ${broadcastQuota.limit} avisos do plano ${broadcastQuota.planId}.`);
+            await client.query('ROLLBACK');
+            return res.status(403).json({
+              title: 'Limite de Avisos do Plano Atingido',
+              message: `Você já usou os ${broadcastQuota.limit} aviso(s) do seu plano neste mês. Conheça os planos para lojistas para avisar seus clientes sempre que quiser!`,
+              limitReached: true,
+              quota: formatQuota(broadcastQuota)
+            });
+          }
+          quotaAfter = {
+            limit: broadcastQuota.limit,
+            used: broadcastQuota.used + 1,
+            remaining: broadcastQuota.limit === null ? null : broadcastQuota.remaining - 1
+          };
+
+          if (scheduledFor) {
+            const insertResult = await client.query(
+              `INSERT INTO broadcasts (estabelecimento_id, user_id, title, message, scheduled_for)
+               VALUES ($1, $2, $3, $4, $5)
+               RETURNING id, title, message, scheduled_for, status, created_at`,
+              [estabelecimentoId, userId, title || null, message || null, sendAt]
+            );
+            await client.query('COMMIT');
+            console.log(`✅ Aviso ${insertResult.rows[0].id} agendado para ${sendAt.toISOString()}.`);
+            return res.status(201).json({ ...insertResult.rows[0], quota: quotaAfter });
           }
-        });
 
-        console.log(`✅ Notificações manuais enviadas para ${subscriptions.length} inscritos.`);
-        res.status(200).json({ message: `Notificações enviadas para ${subscriptions.length} inscritos.` });
+          // Envios imediatos também ficam registrados, para entrar na conta dos limites
+          const broadcastResult = await client.query(
+            `INSERT INTO broadcasts (estabelecimento_id, user_id, title, message, scheduled_for, status, started_at)
+             VALUES ($1, $2, $3, $4, NOW(), 'enviando', NOW()) RETURNING id`,
+            [estabelecimentoId, userId, title || null, message || null]
+          );
+          await client.query('COMMIT');
+          broadcastId = broadcastResult.rows[0].id;
+        } catch (err) {
+          await client.query('ROLLBACK');
+          throw err;
+        } finally {
+          client.release();
+        }
+
+        // Marca o aviso como 'enviado' na mesma transação em que enfileira os envios
+        const { recipients } = await dispatchManualBroadcast({ broadcastId, estabelecimentoId, title, message });
+
+        if (recipients === 0) {
+          return res.status(200).json({ message: 'Nenhum inscrito encontrado para este estabelecimento.', quota: quotaAfter });
+        }
+        res.status(200).json({ message: `Notificações enviadas para ${recipients} inscritos.`, quota: quotaAfter });
     } catch (err) {
         console.error("❌ Erro ao enviar notificações manuais:", err);
+        if (broadcastId) {
+          await pool.query(`UPDATE broadcasts SET status = 'falhou' WHERE id = $1`, [broadcastId]).catch(() => {});
+        }
         res.status(500).json({ message: 'Erro ao enviar notificações.' });
     }
 });
 
+// Rota para o lojista listar os avisos agendados que ainda não foram enviados
+app.get('/api/notify/:estabelecimentoId/agendados', lojistaRequired, async (req, res) => {
+  const { estabelecimentoId } = req.params;
+  const userId = req.user.userId;
+
+  console.log(`➡️  GET /api/notify/${estabelecimentoId}/agendados pelo usuário ${userId}`);
+
+  try {
+    if (!(await isEstabelecimentoOwner(estabelecimentoId, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+
+    const result = await pool.query(
+      `SELECT id, title, message, scheduled_for, status, created_at
+       FROM broadcasts
+       WHERE estabelecimento_id = $1 AND status = 'agendado'
+       ORDER BY scheduled_for`,
+      [estabelecimentoId]
+    );
+    res.status(200).json(result.rows);
+  } catch (err) {
+    console.error(`❌ Erro ao listar avisos agendados do estabelecimento ${estabelecimentoId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao buscar os avisos agendados.' });
+  }
+});
+
+// Rota para o lojista cancelar um aviso agendado
+app.delete('/api/notify/:estabelecimentoId/agendados/:broadcastId', lojistaRequired, async (req, res) => {
+  const { estabelecimentoId, broadcastId } = req.params;
+  const userId = req.user.userId;
+
+  console.log(`➡️  DELETE /api/notify/${estabelecimentoId}/agendados/${broadcastId} pelo usuário ${userId}`);
+
+  try {
+    if (!(await isEstabelecimentoOwner(estabelecimentoId, userId))) {
+      return res.status(404).json({ message: 'Estabelecimento não encontrado ou você não tem permissão para editá-lo.' });
+    }
+
+    const result = await pool.query(
+      `UPDATE broadcasts SET status = 'cancelado'
+       WHERE id = $1 AND estabelecimento_id = $2 AND status = 'agendado'
+       RETURNING id`,
+      [broadcastId, estabelecimentoId]
+    );
+
+    if (result.rowCount === 0) {
+      const existing = await pool.query('SELECT status FROM broadcasts WHERE id = $1 AND estabelecimento_id = $2', [broadcastId, estabelecimentoId]);
+      if (existing.rowCount === 0) {
+        return res.status(404).json({ message: 'Aviso agendado não encontrado.' });
+      }
+      return res.status(409).json({ message: `Este aviso não pode mais ser cancelado (status: ${existing.rows[0].status}).` });
+    }
+
+    console.log(`🗑️  Aviso agendado ${broadcastId} cancelado.`);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erro ao cancelar o aviso agendado ${broadcastId}:`, err.stack);
+    res.status(500).json({ message: 'Erro ao cancelar o aviso agendado.' });
+  }
+});
+
 // Função para testar a conexão com o banco de dados com tentativas
 const connectWithRetry = async (retries = 5, delay = 5000) => {
   for (let i = 0; i < retries; i++) {
@@ -1002,6 +5076,48 @@ const connectWithRetry = async (retries = 5, delay = 5000) => {
   }
 };
 
+// Por quantos minutos depois do horário previsto um aviso de fornada ainda é enviado
+// (execuções atrasadas do cron ou servidor fora do ar). Nunca menor que o intervalo do cron.
+const envCatchup = parseInt(process.env.NOTIFICATION_CATCHUP_MINUTES, 10);
+const NOTIFICATION_CATCHUP_MINUTES = Math.max(5, !isNaN(envCatchup) ? envCatchup : 15);
+
+// Avisos reservados ('pendente') há mais tempo que isso sem terminar (ex: o processo caiu no meio) podem ser reservados de novo.
+const FORNADA_ALERT_STALE_MINUTES = 5;
+
+/**
+ * Reserva no ledger o aviso de uma ocorrência de fornada (fornada + dia + antecedência) como 'pendente'.
+ * Retorna false se o aviso já foi registrado por outra execução, o que impede envios duplicados.
+ * Os avisos pulados são registrados como 'ignorado' para não serem enviados depois.
+ * Depois do envio, finishFornadaAlert marca o aviso como 'enviado'; se o envio falhar, releaseFornadaAlert
+ * apaga a reserva para que a próxima execução tente de novo, dentro da janela de recuperação.
+ */
+const claimFornadaAlert = async (estabelecimentoId, fornadaId, leadMinutes, skippedLeadTimes) => {
+  const result = await pool.query(
+    `INSERT INTO notification_ledger (estabelecimento_id, fornada_id, occurrence_date, lead_minutes, status)
+     SELECT $1, $2, ${SAO_PAULO_NOW_SQL}::date, lead, CASE WHEN lead = $3 THEN 'pendente' ELSE 'ignorado' END
+     FROM unnest($4::int[]) AS lead
+     ON CONFLICT (estabelecimento_id, fornada_id, occurrence_date, lead_minutes) DO UPDATE
+       SET status = EXCLUDED.status, created_at = NOW()
+       WHERE notification_ledger.status = 'pendente' AND notification_ledger.created_at < NOW() - make_interval(mins => $5)
+     RETURNING lead_minutes`,
+    [estabelecimentoId, fornadaId, leadMinutes, [leadMinutes, ...skippedLeadTimes], FORNADA_ALERT_STALE_MINUTES]
+  );
+  return result.rows.some(row => row.lead_minutes === leadMinutes);
+};
+
+// Recebe o client da transação que enfileira os envios, para o aviso só constar como enviado junto com eles.
+const finishFornadaAlert = (fornadaId, leadMinutes, recipients, db = pool) => db.query(
+  `UPDATE notification_ledger SET status = 'enviado', recipients = $1
+   WHERE fornada_id = $2 AND occurrence_date = ${SAO_PAULO_NOW_SQL}::date AND lead_minutes = $3`,
+  [recipients, fornadaId, leadMinutes]
+);
+
+const releaseFornadaAlert = (fornadaId, leadMinutes) => pool.query(
+  `DELETE FROM notification_ledger
+   WHERE fornada_id = $1 AND occurrence_date = ${SAO_PAULO_NOW_SQL}::date AND lead_minutes = $2 AND status = 'pendente'`,
+  [fornadaId, leadMinutes]
+);
+
 /**
  * Função que verifica as próximas fornadas e dispara notificações.
  * Esta função será agendada para rodar a cada 15 minutos.
@@ -1010,196 +5126,358 @@ const checkFornadasAndNotify = async () => {
   console.log('⏰ [CRON] Verificando fornadas agendadas...');
 
   try {
-    const result = await pool.query('SELECT id, nome, details FROM estabelecimentos');
-    const estabelecimentos = result.rows;
+    // fornadas_do_dia já considera recorrência, fornadas avulsas, pausas, cancelamentos e dias em que a loja fecha
+    const result = await pool.query(`
+      SELECT f.id AS fornada_id, to_char(f.time, 'HH24:MI') AS fornada_time, f.description AS fornada_description, f.tags AS fornada_tags,
+        fornada_restante(f.id, ${SAO_PAULO_NOW_SQL}::date) AS fornada_remaining,
+        e.id AS estabelecimento_id, e.nome AS estabelecimento_nome, e.notification_lead_times
+      FROM fornadas_do_dia(${SAO_PAULO_NOW_SQL}::date) f
+      JOIN estabelecimentos e ON e.id = f.estabelecimento_id
+      WHERE e.is_active
+      ORDER BY e.id, f.time
+    `);
+    const fornadasDoDia = result.rows;
     // traz o resultado da consulta
-    console.log(`[DB] Encontrados ${estabelecimentos.length} estabelecimentos.`);
+    console.log(`[DB] Encontradas ${fornadasDoDia.length} fornadas para hoje.`);
 
-    // Otimização: Busca todas as mensagens aleatórias de uma vez, fora do loop
-    const messagesResult = await pool.query('SELECT message FROM notification_messages');
+    // Otimização: Busca todas as mensagens aleatórias (globais e dos estabelecimentos) de uma vez, fora do loop
+    const messagesResult = await pool.query('SELECT message, estabelecimento_id FROM notification_messages');
     const randomMessages = messagesResult.rows;
     console.log(`[DB] Encontradas ${randomMessages.length} mensagens de notificação.`);
 
     // Obtém a hora e os minutos atuais de forma robusta no fuso horário de São Paulo.
-    const now = new Date();
-    const timeParts = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'America/Sao_Paulo',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false
-    }).formatToParts(now);
-
-    const currentHours = parseInt(timeParts.find(p => p.type === 'hour')?.value || '0', 10);
-    const currentMinutes = parseInt(timeParts.find(p => p.type === 'minute')?.value || '0', 10);
-    const currentMinutesSinceMidnight = (currentHours * 60) + currentMinutes;
-
-    for (const est of estabelecimentos) {
-      const fornadas = est.details.proximaFornada;
-
-      // Ignora se não houver horário de fornada
-      if (!fornadas || fornadas.length === 0) {
+    const currentMinutesSinceMidnight = getSaoPauloClock().minutesSinceMidnight;
+
+    // Itera sobre cada ocorrência de fornada prevista para hoje
+    let failures = 0;
+    for (const fornada of fornadasDoDia) {
+      const est = { id: fornada.estabelecimento_id, nome: fornada.estabelecimento_nome };
+      const fornadaTime = fornada.fornada_time;
+      const fornadaId = fornada.fornada_id;
+      const fornadaDescription = fornada.fornada_description;
+      const fornadaRemaining = fornada.fornada_remaining; // null = sem limite
+
+      const [fornadaHours, fornadaMinutes] = fornadaTime.split(':').map(Number);
+      const fornadaTotalMinutes = (fornadaHours * 60) + fornadaMinutes;
+      console.log(`[CRON] Estabelecimento ${est.id} (${est.nome}) - Verificando fornada das ${fornadaTime} (${fornadaTotalMinutes} min do dia)`);
+
+      // Antecedências configuradas pelo lojista cujo horário de aviso já chegou, dentro da janela de recuperação.
+      // A janela cobre execuções atrasadas do cron e o tempo em que o servidor ficou fora do ar.
+      const dueLeadTimes = fornada.notification_lead_times.filter(lead => {
+        const notificationMinute = fornadaTotalMinutes - lead;
+        return currentMinutesSinceMidnight >= notificationMinute && currentMinutesSinceMidnight < notificationMinute + NOTIFICATION_CATCHUP_MINUTES;
+      });
+
+      if (dueLeadTimes.length === 0) {
+        continue;
+      }
+      if (fornadaRemaining === 0) {
+        console.log(`[CRON] Fornada das ${fornadaTime} no estabelecimento ${est.id} esgotada. Notificação ignorada.`);
         continue;
       }
 
-      // Itera sobre cada horário de fornada cadastrado
-      for (const fornadaItem of fornadas) {
-        let fornadaTime, fornadaId, fornadaDescription;
-
-        // Suporte híbrido: string antiga ou objeto novo { id, time, description }
-        if (typeof fornadaItem === 'string') {
-          fornadaTime = fornadaItem;
-        } else {
-          fornadaTime = fornadaItem.time;
-          fornadaId = fornadaItem.id;
-          fornadaDescription = fornadaItem.description;
-        }
-
-        if (fornadaTime) {
-          const [fornadaHours, fornadaMinutes] = fornadaTime.split(':').map(Number);
-          const fornadaTotalMinutes = (fornadaHours * 60) + fornadaMinutes;
-          console.log(`[CRON] Estabelecimento ${est.id} (${est.nome}) - Verificando fornada das ${fornadaTime} (${fornadaTotalMinutes} min do dia)`);
-
-          // Calcula os minutos desde a meia-noite para os horários de notificação
-          const notification1hBefore = fornadaTotalMinutes - 60; // 1 hora antes
-          const notification5minBefore = fornadaTotalMinutes - 5;   // 5 minutos antes
-
-          // Verifica se o minuto atual está na janela de algum dos horários de notificação
-          // A janela de 5 minutos (ex: `+ 5`) é para garantir que a notificação seja pega pelo cron que roda a cada 5 min.
-          const shouldNotify1h = currentMinutesSinceMidnight >= notification1hBefore && currentMinutesSinceMidnight < notification1hBefore + 5;
-          const shouldNotify5min = currentMinutesSinceMidnight >= notification5minBefore && currentMinutesSinceMidnight < notification5minBefore + 5;
-
-          if (shouldNotify1h || shouldNotify5min) {
-            console.log(`🔥 Hora de notificar para a fornada das ${fornadaTime} no estabelecimento ${est.id} (${est.nome})!`);
-            
-            const isAlmostTime = shouldNotify5min;
-
-            // Busca as inscrições para o estabelecimento específico
-            const subscriptionsQuery = `
-              SELECT s.subscription_data
-              FROM subscriptions s
-              JOIN establishment_subscriptions es ON s.id = es.subscription_id
-              WHERE es.estabelecimento_id = $1;
-            `;
-            const subscriptionsResult = await pool.query(subscriptionsQuery, [est.id]);
-            const subscriptions = subscriptionsResult.rows.map(row => row.subscription_data);
-            console.log(`[CRON] Encontradas ${subscriptions.length} inscrições para o estabelecimento ${est.id}.`);
-
-            if (subscriptions.length > 0) {
-              // Seleciona uma mensagem aleatória da lista já buscada
-              const funPhrase = randomMessages.length > 0
-                ? randomMessages[Math.floor(Math.random() * randomMessages.length)].message
-                : 'Fornada chegando!';
-
-              // Monta a informação específica da fornada
-              const descPart = fornadaDescription ? ` de ${fornadaDescription}` : '';
-              let specificInfo = '';
-
-              if (isAlmostTime) {
-                specificInfo = `Saindo às ${fornadaTime}${descPart}. Corre que é daqui a 5 minutos!`;
-              } else {
-                specificInfo = `Vai sair às ${fornadaTime}${descPart}. Falta 1 hora.`;
-              }
-
-              const finalMessage = `${funPhrase} ${specificInfo}`;
+      // Se mais de um aviso estiver pendente (ex: depois de uma parada), só o mais próximo da fornada é enviado
+      const leadMinutes = Math.min(...dueLeadTimes);
+      const skippedLeadTimes = dueLeadTimes.filter(lead => lead !== leadMinutes);
+      if (!(await claimFornadaAlert(est.id, fornadaId, leadMinutes, skippedLeadTimes))) {
+        console.log(`[CRON] Aviso de ${leadMinutes} min da fornada das ${fornadaTime} (estabelecimento ${est.id}) já registrado. Ignorando.`);
+        continue;
+      }
+      if (skippedLeadTimes.length > 0) {
+        console.log(`[CRON] Avisos atrasados de ${skippedLeadTimes.join(', ')} min da fornada das ${fornadaTime} registrados como ignorados.`);
+      }
 
-              console.log(`[CRON] Mensagem montada: "${finalMessage}"`);
+      try {
+        console.log(`🔥 Hora de notificar para a fornada das ${fornadaTime} no estabelecimento ${est.id} (${est.nome}) - aviso de ${leadMinutes} min!`);
 
-              // Define a URL de reserva baseada no tipo de dado disponível (ID ou Horário)
-              const baseUrl = process.env.APP_BASE_URL || '';
-              
-              let reservationToken;
-              if (fornadaId) {
-                reservationToken = generateReservationToken('S', est.id, fornadaId);
-              } else {
-                reservationToken = generateReservationToken('T', est.id, fornadaTime);
-              }
+        // Busca as inscrições para o estabelecimento específico, exceto as que silenciaram este aviso ou pausaram as notificações.
+        // Inscrições com filtro (fornadas, produtos ou etiquetas) só recebem os avisos das fornadas que combinam com ele.
+        const subscriptionsQuery = `
+          SELECT s.id, ${QUIET_UNTIL_SQL} AS quiet_until
+          FROM subscriptions s
+          JOIN establishment_subscriptions es ON s.id = es.subscription_id
+          LEFT JOIN users u ON u.id = s.user_id
+          WHERE es.estabelecimento_id = $1 AND NOT ($2 = ANY(es.muted_lead_times)) AND ${NOT_PAUSED_SQL}
+            AND ${SUBSCRIPTION_FILTER_MATCH_SQL};
+        `;
+        const subscriptionsResult = await pool.query(subscriptionsQuery, [est.id, leadMinutes, fornadaId, fornada.fornada_tags, fornadaDescription]);
+        // Avisos de fornada perdem o sentido depois, então quem está em horário de silêncio não recebe
+        const subscriptions = subscriptionsResult.rows.filter(row => !row.quiet_until).map(row => row.id);
+        const quietCount = subscriptionsResult.rowCount - subscriptions.length;
+        console.log(`[CRON] Encontradas ${subscriptions.length} inscrições para o estabelecimento ${est.id}${quietCount > 0 ? ` (${quietCount} em horário de silêncio)` : ''}.`);
+
+        if (subscriptions.length > 0) {
+          // Seleciona uma mensagem aleatória da lista já buscada
+          const funPhrase = pickNotificationPhrase(randomMessages, est.id) || 'Fornada chegando!';
+
+          // Monta a informação específica da fornada
+          const defaultCopy = buildFornadaAlertCopy(leadMinutes, est.nome, fornadaTime, fornadaDescription);
+          let specificInfo = defaultCopy.info;
+          if (fornadaRemaining !== null) {
+            specificInfo += ` Restam ${fornadaRemaining}!`;
+          }
 
-              console.log(`[CRON] Token gerado: ${reservationToken}`);
-
-              const notificationPayload = {
-                notification: {
-                  title: isAlmostTime ? `Está saindo agora em ${est.nome}!` : `Falta 1h para a fornada em ${est.nome}!`,
-                  body: finalMessage,
-                  icon: 'assets/icons/icon-192x192.png',
-                  // Define os botões que aparecerão na notificação
-                  actions: [
-                    { action: 'dismiss', title: '👍 Agora não' }
-                  ],
-                  // A propriedade 'data' é crucial para o Service Worker do Angular (ngsw)
-                  data: {
-                    onActionClick: {
-                      // Ação padrão (clicar no corpo da notificação) abre o card do estabelecimento.
-                      default: { operation: 'navigateLastFocusedOrOpen', url: `${baseUrl}/reservar/${encodeURIComponent(reservationToken)}` },
-                      // O botão 'dismiss' não precisa de ação aqui, pois o Service Worker o ignora por padrão.
-                    }
+          // Um modelo do estabelecimento (ou global) substitui o texto padrão
+          const copy = await resolveNotificationCopy(fornadaTemplateKind(leadMinutes), est.id, {
+            estabelecimento: est.nome,
+            horario: fornadaTime,
+            descricao: fornadaDescription,
+            minutos: leadMinutes,
+            antecedencia: formatLeadTime(leadMinutes),
+            restantes: fornadaRemaining,
+            frase: funPhrase
+          }, { title: defaultCopy.title, body: `${funPhrase} ${specificInfo}` });
+          const finalMessage = copy.body;
+
+          console.log(`[CRON] Mensagem montada: "${finalMessage}"`);
+
+          // Define a URL de reserva a partir do ID da fornada
+          const baseUrl = process.env.APP_BASE_URL || '';
+          // O link vale até um tempo depois do horário da fornada
+          const minutesUntilFornada = fornadaTotalMinutes - currentMinutesSinceMidnight;
+          const tokenExpiresAt = new Date(Date.now() + (minutesUntilFornada + RESERVATION_TOKEN_GRACE_MINUTES) * 60000);
+          // A notificação, os envios e o registro do aviso como enviado são gravados juntos: se algo falhar,
+          // nada foi enfileirado e a reserva do aviso pode ser liberada para a próxima execução.
+          const client = await pool.connect();
+          try {
+            await client.query('BEGIN');
+            const notificationId = await createNotification({
+              type: NOTIFICATION_TYPES.FORNADA,
+              estabelecimentoId: est.id,
+              leadMinutes,
+              title: copy.title,
+              body: finalMessage
+            }, client);
+            const reservationToken = generateReservationToken('S', est.id, fornadaId, tokenExpiresAt, notificationId);
+
+            console.log(`[CRON] Token gerado: ${reservationToken}`);
+
+            const notificationPayload = {
+              notification: {
+                title: copy.title,
+                body: finalMessage,
+                icon: 'assets/icons/icon-192x192.png',
+                // Define os botões que aparecerão na notificação
+                actions: [
+                  { action: 'dismiss', title: '👍 Agora não' }
+                ],
+                // A propriedade 'data' é crucial para o Service Worker do Angular (ngsw)
+                data: {
+                  onActionClick: {
+                    // Ação padrão (clicar no corpo da notificação) abre o card do estabelecimento.
+                    default: { operation: 'navigateLastFocusedOrOpen', url: `${baseUrl}/reservar/${encodeURIComponent(reservationToken)}` },
+                    // O botão 'dismiss' não precisa de ação aqui, pois o Service Worker o ignora por padrão.
                   }
                 }
-              };
-
-              console.log(`[CRON] Enviando notificações para ${subscriptions.length} inscritos do estabelecimento ${est.id}...`);
-
-              const promises = subscriptions.map(sub =>
-                webpush.sendNotification(sub, JSON.stringify(notificationPayload))
-              );
-
-              const results = await Promise.allSettled(promises);
-
-              results.forEach((result, index) => {
-                if (result.status === 'rejected' && result.reason.statusCode === 410) {
-                  const expiredSubscription = subscriptions[index];
-                  const endpoint = expiredSubscription.endpoint;
-                  console.log(`🗑️  [CRON] Inscrição expirada detectada. Removendo: ${endpoint}`);
-                  pool.query("DELETE FROM subscriptions WHERE subscription_data->>'endpoint' = $1", [endpoint])
-                    .catch(err => console.error(`❌ [CRON] Erro ao remover inscrição expirada: ${err.stack}`));
-                }
-              });
-              console.log(`✅ Notificações enviadas para ${subscriptions.length} inscritos do estabelecimento ${est.id}.`);
-            }
+              }
+            };
+
+            await enqueuePush(subscriptions, notificationPayload.notification, notificationId, null, client);
+            await finishFornadaAlert(fornadaId, leadMinutes, subscriptions.length, client);
+            await client.query('COMMIT');
+          } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+          } finally {
+            client.release();
           }
+          setImmediate(processPushQueue); // Os envios só ficaram visíveis agora, com o COMMIT
+          console.log(`✅ Notificações enfileiradas para ${subscriptions.length} inscritos do estabelecimento ${est.id}.`);
+        } else {
+          await finishFornadaAlert(fornadaId, leadMinutes, 0);
         }
+      } catch (err) {
+        // Libera a reserva do aviso para que a próxima execução tente de novo; as demais fornadas seguem
+        failures++;
+        console.error(`❌ [CRON] Erro ao enviar o aviso de ${leadMinutes} min da fornada ${fornadaId} (estabelecimento ${est.id}):`, err.stack);
+        await releaseFornadaAlert(fornadaId, leadMinutes).catch(() => {});
       }
     }
+
+    if (failures > 0) {
+      throw new Error(`${failures} aviso(s) de fornada falharam.`);
+    }
   } catch (err) {
     console.error('❌ [CRON] Erro ao verificar fornadas:', err);
+    throw err; // Registrado como falha em scheduled_jobs por runScheduledJob
   }
 };
 
 /**
- * Zera o contador de reservas de todos os usuários.
- * Agendado para rodar à meia-noite do primeiro dia de cada mês.
+ * Encerra as assinaturas de plano vencidas e devolve ao plano 0 quem ficou sem assinatura ativa.
+ * Também descarta checkouts que não foram pagos. Agendado para rodar a cada hora.
  */
-const resetReserveCounts = async () => {
-  console.log('🗓️  [CRON] Iniciando rotina mensal para zerar contagem de reservas...');
+const expirePlanSubscriptions = async () => {
+  console.log('🗓️  [CRON] Verificando assinaturas de plano vencidas...');
   try {
-    const result = await pool.query('UPDATE users SET reserve_count = 0');
-    console.log(`✅ [CRON] Contagem de reservas zerada. ${result.rowCount} usuários foram atualizados.`);
+    const abandoned = await pool.query(
+      `UPDATE plan_subscriptions SET status = 'expirada', updated_at = NOW()
+       WHERE status = 'pendente' AND created_at < NOW() - make_interval(hours => $1)`,
+      [CHECKOUT_EXPIRATION_HOURS]
+    );
+
+    const expired = await pool.query(
+      `UPDATE plan_subscriptions SET status = 'expirada', updated_at = NOW()
+       WHERE status = 'ativa' AND period_end < NOW()
+       RETURNING user_id`
+    );
+    const userIds = [...new Set(expired.rows.map(row => row.user_id))];
+    let downgraded = { rowCount: 0 };
+    if (userIds.length > 0) {
+      downgraded = await pool.query(
+        `UPDATE users u SET current_plan = 0
+         WHERE u.id = ANY($1::int[]) AND NOT EXISTS (
+           SELECT 1 FROM plan_subscriptions ps WHERE ps.user_id = u.id AND ps.status = 'ativa'
+         )`,
+        [userIds]
+      );
+    }
+    console.log(`✅ [CRON] ${expired.rowCount} assinaturas vencidas, ${downgraded.rowCount} usuários voltaram ao plano gratuito, ${abandoned.rowCount} checkouts descartados.`);
   } catch (err) {
-    console.error('❌ [CRON] Erro ao zerar a contagem de reservas:', err.stack);
+    console.error('❌ [CRON] Erro ao expirar assinaturas de plano:', err.stack);
+    throw err; // Registrado como falha em scheduled_jobs por runScheduledJob
+  }
+};
+
+/**
+ * Dispara os avisos manuais agendados cujo horário já chegou.
+ * Agendado para rodar a cada minuto.
+ */
+const dispatchScheduledBroadcasts = async () => {
+  // Retoma os avisos que ficaram presos em 'enviando' (inclusive os imediatos) porque o processo caiu no meio.
+  // O aviso vira 'enviado' na mesma transação que enfileira os envios, então um aviso preso não enfileirou ninguém.
+  const stale = await pool.query(
+    `UPDATE broadcasts SET status = 'agendado', started_at = NULL
+     WHERE status = 'enviando' AND started_at < NOW() - make_interval(mins => $1)`,
+    [BROADCAST_STALE_MINUTES]
+  );
+  if (stale.rowCount > 0) {
+    console.warn(`⚠️ [CRON] ${stale.rowCount} aviso(s) preso(s) em 'enviando' voltaram para a fila.`);
+  }
+
+  // Marca os avisos como 'enviando' antes do disparo, para que nenhum seja enviado duas vezes
+  const due = await pool.query(
+    `UPDATE broadcasts SET status = 'enviando', started_at = NOW()
+     WHERE status = 'agendado' AND scheduled_for <= NOW()
+     RETURNING id, estabelecimento_id, title, message`
+  );
+
+  if (due.rowCount === 0) return;
+  console.log(`📣 [CRON] Disparando ${due.rowCount} aviso(s) agendado(s)...`);
+
+  let failures = 0;
+  for (const broadcast of due.rows) {
+    try {
+      await dispatchManualBroadcast({
+        broadcastId: broadcast.id,
+        estabelecimentoId: broadcast.estabelecimento_id,
+        title: broadcast.title,
+        message: broadcast.message
+      });
+    } catch (err) {
+      failures++;
+      console.error(`❌ [CRON] Erro ao disparar o aviso agendado ${broadcast.id}:`, err.stack);
+      await pool.query(`UPDATE broadcasts SET status = 'falhou' WHERE id = $1`, [broadcast.id]).catch(() => {});
+    }
+  }
+
+  if (failures > 0) {
+    throw new Error(`${failures} aviso(s) agendado(s) falharam.`); // Registrado como falha em scheduled_jobs por runScheduledJob
   }
 };
 
 /**
- * Calcula a distância em KM entre duas coordenadas geográficas usando a fórmula de Haversine.
+ * Retorna a hora atual no fuso horário de São Paulo, incluindo os minutos desde a meia-noite.
+ */
+function getSaoPauloClock(date = new Date()) {
+  const timeParts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Sao_Paulo',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  }).formatToParts(date);
+
+  // Em alguns ambientes o Intl formata a meia-noite como "24", por isso o módulo.
+  const hours = parseInt(timeParts.find(p => p.type === 'hour')?.value || '0', 10) % 24;
+  const minutes = parseInt(timeParts.find(p => p.type === 'minute')?.value || '0', 10);
+  return {
+    hours,
+    minutes,
+    minutesSinceMidnight: (hours * 60) + minutes
+  };
+}
+
+/**
+ * Escapa os curingas do LIKE/ILIKE (% e _) para que o texto do usuário seja buscado literalmente.
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Raio da Terra em km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distância em km
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
 }
 
 /**
- * Converte graus para radianos.
+ * Retorna o primeiro dos parâmetros da query que não chegou como um texto simples, ou null.
+ * No Express 5, um parâmetro repetido (?tipo=a&tipo=b) chega como array.
  */
-function deg2rad(deg) {
-  return deg * (Math.PI / 180);
+function findNonStringQueryParam(query, keys) {
+  return keys.find(key => query[key] !== undefined && typeof query[key] !== 'string') || null;
 }
 
+// --- Coordenação dos Jobs Agendados ---
+// Com mais de uma réplica do serviço, todas registram os mesmos crons. Cada execução (tick) é disputada
+// na tabela scheduled_jobs e só a instância que conseguir a concessão (lease) roda o job.
+const INSTANCE_ID = process.env.RAILWAY_REPLICA_ID || `${os.hostname()}-${process.pid}`;
+// Tempo máximo que uma execução segura o job. Se a instância cair no meio, outra pode assumir depois disso.
+const JOB_LEASE_MINUTES = 10;
+
+// scheduledAt é o horário programado que o cron informa (context.date), igual em todas as réplicas.
+const runScheduledJob = async (name, job, scheduledAt) => {
+  let claimed;
+  try {
+    // O tick é o horário programado, não o relógio na hora da disputa: uma réplica que dispara atrasada
+    // (já no minuto seguinte) ainda disputa o mesmo tick e não roda o job de novo.
+    await pool.query('INSERT INTO scheduled_jobs (name) VALUES ($1) ON CONFLICT (name) DO NOTHING', [name]);
+    claimed = await pool.query(
+      `UPDATE scheduled_jobs
+       SET last_tick = date_trunc('minute', $4::timestamptz), locked_by = $2, locked_until = NOW() + make_interval(mins => $3),
+           last_started_at = NOW(), last_status = 'executando', last_error = NULL
+       WHERE name = $1
+         AND (last_tick IS NULL OR last_tick < date_trunc('minute', $4::timestamptz))
+         AND (locked_until IS NULL OR locked_until < NOW())
+       RETURNING name`,
+      [name, INSTANCE_ID, JOB_LEASE_MINUTES, scheduledAt]
+    );
+  } catch (err) {
+    console.error(`❌ [CRON] Erro ao disputar o job "${name}":`, err.stack);
+    return;
+  }
+
+  if (claimed.rowCount === 0) {
+    console.log(`[CRON] Job "${name}" já foi executado (ou está em execução) em outra instância neste horário. Ignorando.`);
+    return;
+  }
+
+  const startedAt = Date.now();
+  let status = 'sucesso';
+  let errorMessage = null;
+  try {
+    await job();
+  } catch (err) {
+    status = 'erro';
+    errorMessage = err.message;
+  }
+
+  try {
+    await pool.query(
+      `UPDATE scheduled_jobs
+       SET last_finished_at = NOW(), last_status = $2, last_error = $3, last_duration_ms = $4, locked_until = NULL
+       WHERE name = $1 AND locked_by = $5`,
+      [name, status, errorMessage, Date.now() - startedAt, INSTANCE_ID]
+    );
+  } catch (err) {
+    console.error(`❌ [CRON] Erro ao registrar o resultado do job "${name}":`, err.stack);
+  }
+};
+
 // --- Inicialização do Servidor ---
 const startServer = async () => {
   try {
@@ -1207,6 +5485,15 @@ const startServer = async () => {
     if (!process.env.DATABASE_URL) {
       throw new Error('DATABASE_URL não foi encontrada nas variáveis de ambiente.');
     }
+    // Com uma data inválida, as comparações com NaN nunca expirariam os tokens antigos, que não têm assinatura
+    if (isNaN(LEGACY_RESERVATION_TOKENS_UNTIL.getTime())) {
+      throw new Error(`LEGACY_RESERVATION_TOKENS_UNTIL inválida: "${process.env.LEGACY_RESERVATION_TOKENS_UNTIL}". Use uma data ISO 8601 (ex: 2026-11-19T00:00:00-03:00).`);
+    }
+    if (!PAYMENT_PROVIDERS[PAYMENT_PROVIDER]) {
+      console.warn(`⚠️ Provedor de pagamento ${PAYMENT_PROVIDER ? `"${PAYMENT_PROVIDER}" desconhecido` : 'não configurado (PAYMENT_PROVIDER)'}: o checkout de planos pagos está desativado.`);
+    } else if (!PAYMENT_WEBHOOK_SECRET) {
+      console.warn('⚠️ PAYMENT_WEBHOOK_SECRET não configurada: os webhooks de pagamento serão recusados.');
+    }
 
     await connectWithRetry();
     const PORT = process.env.PORT || 3000;
@@ -1214,10 +5501,21 @@ const startServer = async () => {
       console.log(`🚀 Servidor iniciado e rodando na porta ${PORT}`);
 
       // Agenda a verificação de fornadas para rodar a cada 5 minutos.
-      cron.schedule('*/5 * * * *', checkFornadasAndNotify, { timezone: "America/Sao_Paulo" });
+      // Cada job passa por runScheduledJob para rodar em apenas uma instância por horário.
+      cron.schedule('*/5 * * * *', (context) => runScheduledJob('check-fornadas', checkFornadasAndNotify, context.date), { timezone: "America/Sao_Paulo" });
+
+      // Dispara os avisos manuais agendados pelos lojistas, verificando a cada minuto.
+      cron.schedule('* * * * *', (context) => runScheduledJob('scheduled-broadcasts', dispatchScheduledBroadcasts, context.date), { timezone: "America/Sao_Paulo" });
+
+      // Worker da fila de envio das notificações push. Também retoma envios pendentes de antes de um reinício.
+      setInterval(processPushQueue, PUSH_QUEUE_INTERVAL_MS);
+      processPushQueue();
+
+      // Encerra as assinaturas de plano vencidas a cada hora, no minuto 10.
+      cron.schedule('10 * * * *', (context) => runScheduledJob('expire-plan-subscriptions', expirePlanSubscriptions, context.date), { timezone: "America/Sao_Paulo" });
 
-      // Agenda a rotina para zerar a contagem de reservas todo dia 1º do mês à meia-noite.
-      cron.schedule('0 0 1 * *', resetReserveCounts, { timezone: "America/Sao_Paulo" });
+      // Limpa os envios antigos da fila de notificações uma vez por dia, às 3h30.
+      cron.schedule('30 3 * * *', (context) => runScheduledJob('prune-push-queue', prunePushQueue, context.date), { timezone: "America/Sao_Paulo" });
     });
   } catch (err) {
     console.error('🔥 Falha ao iniciar o servidor:', err.message);
@@ -21,21 +21,10 @@ async function run() {
         password_hash VARCHAR(255) NOT NULL,
         role VARCHAR(50) NOT NULL DEFAULT 'cliente',
         created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
-        reserve_count INTEGER NOT NULL DEFAULT 0,
         current_plan INTEGER NOT NULL DEFAULT 0
       );
     `);
 
-    // Adiciona a coluna reserve_count se ela não existir, para não quebrar migrações futuras
-    await client.query(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'users'::regclass AND attname = 'reserve_count') THEN
-          ALTER TABLE users ADD COLUMN reserve_count INTEGER NOT NULL DEFAULT 0;
-        END IF;
-      END$$;
-    `);
-
     // Adiciona a coluna current_plan se ela não existir
     await client.query(`
       DO $$
@@ -59,6 +48,29 @@ async function run() {
       );
     `);
 
+    // Extensões usadas pela busca de estabelecimentos: earthdistance (distância/raio) e pg_trgm (busca textual)
+    await client.query(`
+      CREATE EXTENSION IF NOT EXISTS cube;
+      CREATE EXTENSION IF NOT EXISTS earthdistance;
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+    `);
+
+    // Índice espacial para filtrar por raio e ordenar por proximidade
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS estabelecimentos_location_idx
+      ON estabelecimentos USING gist (ll_to_earth(latitude, longitude));
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS estabelecimentos_tipo_idx ON estabelecimentos (tipo);
+    `);
+
+    // Índice trigram para a busca textual. A expressão deve ser idêntica a ESTABELECIMENTO_SEARCH_EXPR em index.js.
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS estabelecimentos_search_idx
+      ON estabelecimentos USING gin ((nome || ' ' || COALESCE(details->>'info', '') || ' ' || COALESCE(details#>>'{endereco,bairro}', '')) gin_trgm_ops);
+    `);
+
     await client.query(`
       CREATE TABLE IF NOT EXISTS subscriptions (
         id SERIAL PRIMARY KEY,
@@ -127,6 +139,653 @@ async function run() {
       END$$;
     `);
 
+    // Horário de funcionamento semanal. Vários registros no mesmo dia representam turnos (ex: 06:00-12:00 e 14:00-20:00).
+    // Se closes_at <= opens_at, o turno atravessa a meia-noite.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS establishment_hours (
+        id SERIAL PRIMARY KEY,
+        estabelecimento_id INTEGER NOT NULL REFERENCES estabelecimentos(id) ON DELETE CASCADE,
+        weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6), -- 0 = domingo, igual ao EXTRACT(DOW)
+        opens_at TIME NOT NULL,
+        closes_at TIME NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS establishment_hours_estabelecimento_idx ON establishment_hours (estabelecimento_id, weekday);
+    `);
+
+    // Exceções por data (feriados, férias). Substituem o horário semanal nos dias do intervalo.
+    // shifts é uma lista de turnos { opensAt, closesAt }; lista vazia significa fechado.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS establishment_hour_exceptions (
+        id SERIAL PRIMARY KEY,
+        estabelecimento_id INTEGER NOT NULL REFERENCES estabelecimentos(id) ON DELETE CASCADE,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        shifts JSONB NOT NULL DEFAULT '[]',
+        description VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        CHECK (end_date >= start_date)
+      );
+      CREATE INDEX IF NOT EXISTS establishment_hour_exceptions_estabelecimento_idx ON establishment_hour_exceptions (estabelecimento_id, end_date);
+    `);
+
+    // Converte o par legado horarioAbertura/horarioFechamento (details) em horário semanal, para todos os dias.
+    await client.query(`
+      INSERT INTO establishment_hours (estabelecimento_id, weekday, opens_at, closes_at)
+      SELECT e.id, d.weekday, (e.details->>'horarioAbertura')::time, (e.details->>'horarioFechamento')::time
+      FROM estabelecimentos e
+      CROSS JOIN generate_series(0, 6) AS d(weekday)
+      WHERE e.details->>'horarioAbertura' ~ '^\\d{2}:\\d{2}$'
+        AND e.details->>'horarioFechamento' ~ '^\\d{2}:\\d{2}$'
+        AND NOT EXISTS (SELECT 1 FROM establishment_hours h WHERE h.estabelecimento_id = e.id);
+    `);
+
+    // Turnos de um estabelecimento em uma data: exceção > horário semanal > par legado em details.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION estabelecimento_shifts(p_id INTEGER, p_date DATE)
+      RETURNS TABLE (opens_at TIME, closes_at TIME) AS $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM establishment_hour_exceptions x WHERE x.estabelecimento_id = p_id AND p_date BETWEEN x.start_date AND x.end_date) THEN
+          RETURN QUERY
+            SELECT (s->>'opensAt')::time, (s->>'closesAt')::time
+            FROM establishment_hour_exceptions x, jsonb_array_elements(x.shifts) s
+            WHERE x.estabelecimento_id = p_id AND p_date BETWEEN x.start_date AND x.end_date;
+        ELSIF EXISTS (SELECT 1 FROM establishment_hours h WHERE h.estabelecimento_id = p_id) THEN
+          RETURN QUERY
+            SELECT h.opens_at, h.closes_at
+            FROM establishment_hours h
+            WHERE h.estabelecimento_id = p_id AND h.weekday = EXTRACT(DOW FROM p_date);
+        ELSE
+          RETURN QUERY
+            SELECT (e.details->>'horarioAbertura')::time, (e.details->>'horarioFechamento')::time
+            FROM estabelecimentos e
+            WHERE e.id = p_id
+              AND e.details->>'horarioAbertura' ~ '^\\d{2}:\\d{2}$'
+              AND e.details->>'horarioFechamento' ~ '^\\d{2}:\\d{2}$';
+        END IF;
+      END;
+      $$ LANGUAGE plpgsql STABLE;
+    `);
+
+    // Indica se o estabelecimento está aberto no instante informado (horário local de São Paulo).
+    // Considera também os turnos do dia anterior que atravessam a meia-noite.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION estabelecimento_aberto(p_id INTEGER, p_at TIMESTAMP)
+      RETURNS BOOLEAN AS $$
+        SELECT EXISTS (
+          SELECT 1 FROM estabelecimento_shifts(p_id, p_at::date) s
+          WHERE (s.opens_at < s.closes_at AND p_at::time >= s.opens_at AND p_at::time < s.closes_at)
+             OR (s.closes_at <= s.opens_at AND p_at::time >= s.opens_at)
+        ) OR EXISTS (
+          SELECT 1 FROM estabelecimento_shifts(p_id, p_at::date - 1) s
+          WHERE s.closes_at <= s.opens_at AND p_at::time < s.closes_at
+        );
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    // Próximo início de turno após o instante informado (procura até 60 dias à frente, para cobrir férias).
+    await client.query(`
+      CREATE OR REPLACE FUNCTION estabelecimento_proxima_abertura(p_id INTEGER, p_at TIMESTAMP)
+      RETURNS TIMESTAMPTZ AS $$
+      DECLARE
+        v_day INTEGER;
+        v_opens TIME;
+      BEGIN
+        FOR v_day IN 0..60 LOOP
+          SELECT MIN(s.opens_at) INTO v_opens
+          FROM estabelecimento_shifts(p_id, p_at::date + v_day) s
+          WHERE p_at::date + v_day + s.opens_at > p_at;
+
+          IF v_opens IS NOT NULL THEN
+            RETURN (p_at::date + v_day + v_opens) AT TIME ZONE 'America/Sao_Paulo';
+          END IF;
+        END LOOP;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql STABLE;
+    `);
+
+    // Agenda de fornadas. Sem date, a fornada é recorrente (weekdays NULL = todos os dias);
+    // com date, é uma fornada avulsa apenas naquele dia. is_active = false pausa a fornada.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fornadas (
+        id SERIAL PRIMARY KEY,
+        estabelecimento_id INTEGER NOT NULL REFERENCES estabelecimentos(id) ON DELETE CASCADE,
+        time TIME NOT NULL,
+        description VARCHAR(255),
+        weekdays SMALLINT[], -- 0 = domingo, igual ao EXTRACT(DOW)
+        date DATE,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        legacy_id VARCHAR(255), -- ID usado em details.proximaFornada, mantido para links de reserva já enviados
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        CHECK (date IS NULL OR weekdays IS NULL)
+      );
+      CREATE INDEX IF NOT EXISTS fornadas_estabelecimento_idx ON fornadas (estabelecimento_id);
+    `);
+
+    // Cancelamento de uma única ocorrência de uma fornada recorrente
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fornada_cancellations (
+        fornada_id INTEGER NOT NULL REFERENCES fornadas(id) ON DELETE CASCADE,
+        date DATE NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (fornada_id, date)
+      );
+    `);
+
+    // Converte o array legado details.proximaFornada ("HH:MM" ou { id, time, description }) em fornadas diárias.
+    await client.query(`
+      INSERT INTO fornadas (estabelecimento_id, time, description, legacy_id)
+      SELECT e.id,
+        (CASE jsonb_typeof(item) WHEN 'string' THEN item #>> '{}' ELSE item->>'time' END)::time,
+        CASE jsonb_typeof(item) WHEN 'object' THEN item->>'description' END,
+        CASE jsonb_typeof(item) WHEN 'object' THEN item->>'id' END
+      FROM estabelecimentos e
+      CROSS JOIN LATERAL jsonb_array_elements(e.details->'proximaFornada') AS item
+      WHERE jsonb_typeof(e.details->'proximaFornada') = 'array'
+        AND (CASE jsonb_typeof(item) WHEN 'string' THEN item #>> '{}' ELSE item->>'time' END) ~ '^\\d{2}:\\d{2}$'
+        AND NOT EXISTS (SELECT 1 FROM fornadas f WHERE f.estabelecimento_id = e.id);
+    `);
+
+    // Após a conversão, a agenda passa a viver apenas na tabela fornadas
+    await client.query(`
+      UPDATE estabelecimentos SET details = details - 'proximaFornada' WHERE details ? 'proximaFornada';
+    `);
+
+    // Indica se o estabelecimento está fechado o dia todo na data. Estabelecimentos sem nenhum horário cadastrado
+    // não são considerados fechados, para não silenciar as fornadas de quem ainda não informou o horário.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION estabelecimento_fechado_no_dia(p_id INTEGER, p_date DATE)
+      RETURNS BOOLEAN AS $$
+        SELECT NOT EXISTS (SELECT 1 FROM estabelecimento_shifts(p_id, p_date))
+          AND (
+            EXISTS (SELECT 1 FROM establishment_hours h WHERE h.estabelecimento_id = p_id)
+            OR EXISTS (SELECT 1 FROM establishment_hour_exceptions x WHERE x.estabelecimento_id = p_id AND p_date BETWEEN x.start_date AND x.end_date)
+            OR EXISTS (SELECT 1 FROM estabelecimentos e WHERE e.id = p_id AND e.details ? 'horarioAbertura')
+          );
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    // Fornadas que acontecem na data informada, ignorando pausadas, canceladas e dias em que o estabelecimento não abre.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION fornadas_do_dia(p_date DATE)
+      RETURNS SETOF fornadas AS $$
+        SELECT f.*
+        FROM fornadas f
+        WHERE f.is_active
+          AND (f.date = p_date OR (f.date IS NULL AND (f.weekdays IS NULL OR EXTRACT(DOW FROM p_date)::smallint = ANY(f.weekdays))))
+          AND NOT EXISTS (SELECT 1 FROM fornada_cancellations c WHERE c.fornada_id = f.id AND c.date = p_date)
+          AND NOT estabelecimento_fechado_no_dia(f.estabelecimento_id, p_date);
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    // Liga a reserva à ocorrência de fornada (fornada + dia) reservada
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'reservations'::regclass AND attname = 'fornada_id') THEN
+          ALTER TABLE reservations ADD COLUMN fornada_id INTEGER REFERENCES fornadas(id) ON DELETE SET NULL;
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'reservations'::regclass AND attname = 'reservation_date') THEN
+          ALTER TABLE reservations ADD COLUMN reservation_date DATE;
+        END IF;
+      END$$;
+    `);
+
+    // Ciclo de vida da reserva: pendente -> confirmada/rejeitada -> pronta -> retirada/nao_compareceu (ou cancelada pelo cliente)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'reservations'::regclass AND attname = 'status') THEN
+          ALTER TABLE reservations ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'pendente';
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'reservations'::regclass AND attname = 'status_updated_at') THEN
+          ALTER TABLE reservations ADD COLUMN status_updated_at TIMESTAMPTZ;
+        END IF;
+        -- Indica se o cancelamento pelo cliente devolveu a vaga na cota mensal
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'reservations'::regclass AND attname = 'quota_refunded') THEN
+          ALTER TABLE reservations ADD COLUMN quota_refunded BOOLEAN NOT NULL DEFAULT false;
+        END IF;
+      END$$;
+      CREATE INDEX IF NOT EXISTS reservations_establishment_status_idx ON reservations (establishment_id, status);
+    `);
+
+    // Capacidade das fornadas (NULL = sem limite) e quantidade reservada em cada reserva
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'fornadas'::regclass AND attname = 'capacity') THEN
+          ALTER TABLE fornadas ADD COLUMN capacity INTEGER CHECK (capacity > 0);
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'reservations'::regclass AND attname = 'quantity') THEN
+          ALTER TABLE reservations ADD COLUMN quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0);
+        END IF;
+      END$$;
+      CREATE INDEX IF NOT EXISTS reservations_fornada_date_idx ON reservations (fornada_id, reservation_date);
+    `);
+
+    // Unidades ainda disponíveis de uma fornada no dia informado (NULL = sem limite).
+    // Reservas rejeitadas ou canceladas devolvem as unidades.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION fornada_restante(p_fornada_id INTEGER, p_date DATE)
+      RETURNS INTEGER AS $$
+        SELECT CASE WHEN f.capacity IS NULL THEN NULL ELSE GREATEST(f.capacity - COALESCE((
+          SELECT SUM(r.quantity)::integer FROM reservations r
+          WHERE r.fornada_id = f.id AND r.reservation_date = p_date
+            AND r.status NOT IN ('rejeitada', 'cancelada')
+        ), 0), 0) END
+        FROM fornadas f
+        WHERE f.id = p_fornada_id;
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    // Código de retirada apresentado pelo cliente no balcão
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'reservations'::regclass AND attname = 'pickup_code') THEN
+          ALTER TABLE reservations ADD COLUMN pickup_code VARCHAR(8);
+        END IF;
+      END$$;
+      CREATE UNIQUE INDEX IF NOT EXISTS reservations_pickup_code_idx ON reservations (pickup_code);
+    `);
+
+    // Catálogo de produtos de cada estabelecimento e os produtos que saem em cada fornada
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS products (
+        id SERIAL PRIMARY KEY,
+        estabelecimento_id INTEGER NOT NULL REFERENCES estabelecimentos(id) ON DELETE CASCADE,
+        name VARCHAR(120) NOT NULL,
+        price NUMERIC(10, 2) NOT NULL CHECK (price >= 0),
+        unit VARCHAR(20) NOT NULL DEFAULT 'unidade',
+        photo_url TEXT,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS products_estabelecimento_idx ON products (estabelecimento_id);
+
+      CREATE TABLE IF NOT EXISTS fornada_products (
+        fornada_id INTEGER NOT NULL REFERENCES fornadas(id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        PRIMARY KEY (fornada_id, product_id)
+      );
+    `);
+
+    // Itens de cada reserva. Nome e preço são copiados para o histórico não mudar quando o produto mudar.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reservation_items (
+        id SERIAL PRIMARY KEY,
+        reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+        product_name VARCHAR(120) NOT NULL,
+        unit_price NUMERIC(10, 2) NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0)
+      );
+      CREATE INDEX IF NOT EXISTS reservation_items_reservation_idx ON reservation_items (reservation_id);
+
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'reservations'::regclass AND attname = 'total') THEN
+          ALTER TABLE reservations ADD COLUMN total NUMERIC(10, 2);
+        END IF;
+      END$$;
+    `);
+
+    // Antecedência (em minutos) dos avisos de fornada escolhida pelo lojista e avisos silenciados por cada inscrito
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'estabelecimentos'::regclass AND attname = 'notification_lead_times') THEN
+          ALTER TABLE estabelecimentos ADD COLUMN notification_lead_times INTEGER[] NOT NULL DEFAULT '{60,5}';
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'establishment_subscriptions'::regclass AND attname = 'muted_lead_times') THEN
+          ALTER TABLE establishment_subscriptions ADD COLUMN muted_lead_times INTEGER[] NOT NULL DEFAULT '{}';
+        END IF;
+      END$$;
+    `);
+
+    // Registro dos avisos de fornada já disparados. A chave única impede que o mesmo aviso seja enviado duas vezes.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_ledger (
+        id SERIAL PRIMARY KEY,
+        estabelecimento_id INTEGER NOT NULL REFERENCES estabelecimentos(id) ON DELETE CASCADE,
+        fornada_id INTEGER NOT NULL REFERENCES fornadas(id) ON DELETE CASCADE,
+        occurrence_date DATE NOT NULL,
+        lead_minutes INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'enviado', -- pendente | enviado | ignorado
+        recipients INTEGER,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (estabelecimento_id, fornada_id, occurrence_date, lead_minutes)
+      );
+    `);
+
+    // Coordenação dos jobs agendados entre réplicas e registro da última execução de cada um
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        name VARCHAR(100) PRIMARY KEY,
+        last_tick TIMESTAMPTZ,
+        locked_by VARCHAR(255),
+        locked_until TIMESTAMPTZ,
+        last_started_at TIMESTAMPTZ,
+        last_finished_at TIMESTAMPTZ,
+        last_status VARCHAR(20), -- executando | sucesso | erro
+        last_error TEXT,
+        last_duration_ms INTEGER
+      );
+    `);
+
+    // Fila de envio das notificações push, processada pelo worker em index.js
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS push_queue (
+        id BIGSERIAL PRIMARY KEY,
+        subscription_id INTEGER NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pendente', -- pendente | enviando | enviado | falhou | expirada
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        locked_at TIMESTAMPTZ,
+        last_error TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        sent_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS push_queue_pending_idx ON push_queue (next_attempt_at) WHERE status = 'pendente';
+      -- Usado pela limpeza diária dos envios antigos
+      CREATE INDEX IF NOT EXISTS push_queue_created_idx ON push_queue (created_at);
+    `);
+
+    // Histórico das notificações: cada disparo vira uma linha em notifications e cada destinatário
+    // uma linha em push_queue, com o resultado do envio e o clique. As reservas guardam a notificação de origem.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(30) NOT NULL, -- fornada | manual | novo_seguidor | reserva | status_reserva | reserva_cancelada
+        estabelecimento_id INTEGER REFERENCES estabelecimentos(id) ON DELETE SET NULL,
+        lead_minutes INTEGER, -- antecedência dos avisos de fornada
+        title TEXT,
+        body TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS notifications_estabelecimento_idx ON notifications (estabelecimento_id, created_at);
+
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'push_queue'::regclass AND attname = 'notification_id') THEN
+          ALTER TABLE push_queue ADD COLUMN notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL;
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'push_queue'::regclass AND attname = 'clicked_at') THEN
+          ALTER TABLE push_queue ADD COLUMN clicked_at TIMESTAMPTZ;
+        END IF;
+        -- Os envios continuam no histórico quando a inscrição expirada é removida
+        IF EXISTS (SELECT FROM pg_constraint WHERE conname = 'push_queue_subscription_id_fkey' AND confdeltype = 'c') THEN
+          ALTER TABLE push_queue DROP CONSTRAINT push_queue_subscription_id_fkey;
+          ALTER TABLE push_queue ALTER COLUMN subscription_id DROP NOT NULL;
+          ALTER TABLE push_queue ADD CONSTRAINT push_queue_subscription_id_fkey
+            FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL;
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'reservations'::regclass AND attname = 'notification_id') THEN
+          ALTER TABLE reservations ADD COLUMN notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL;
+        END IF;
+      END$$;
+      CREATE INDEX IF NOT EXISTS push_queue_notification_idx ON push_queue (notification_id);
+    `);
+
+    // Avisos manuais dos lojistas: os imediatos ficam registrados para os limites de envio, e os agendados
+    // esperam aqui até o job 'scheduled-broadcasts' dispará-los.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS broadcasts (
+        id SERIAL PRIMARY KEY,
+        estabelecimento_id INTEGER NOT NULL REFERENCES estabelecimentos(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        title TEXT,
+        message TEXT,
+        scheduled_for TIMESTAMPTZ NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'agendado', -- agendado | enviando | enviado | falhou | cancelado
+        notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+        recipients INTEGER,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        sent_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS broadcasts_estabelecimento_idx ON broadcasts (estabelecimento_id, scheduled_for);
+      CREATE INDEX IF NOT EXISTS broadcasts_due_idx ON broadcasts (scheduled_for) WHERE status = 'agendado';
+    `);
+
+    // Horário de silêncio e pausa das notificações, por usuário (todos os dispositivos) e por dispositivo
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'users'::regclass AND attname = 'quiet_hours_start') THEN
+          ALTER TABLE users ADD COLUMN quiet_hours_start TIME, ADD COLUMN quiet_hours_end TIME;
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'users'::regclass AND attname = 'notifications_paused_until') THEN
+          ALTER TABLE users ADD COLUMN notifications_paused_until TIMESTAMPTZ;
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'subscriptions'::regclass AND attname = 'quiet_hours_start') THEN
+          ALTER TABLE subscriptions ADD COLUMN quiet_hours_start TIME, ADD COLUMN quiet_hours_end TIME;
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'subscriptions'::regclass AND attname = 'notifications_paused_until') THEN
+          ALTER TABLE subscriptions ADD COLUMN notifications_paused_until TIMESTAMPTZ;
+        END IF;
+      END$$;
+
+      -- Quando termina o horário de silêncio em andamento (horário de São Paulo), ou NULL se agora não é horário de silêncio.
+      -- Faixas que atravessam a meia-noite (ex: 22:00 às 07:00) terminam no dia seguinte.
+      CREATE OR REPLACE FUNCTION fim_horario_silencioso(p_inicio TIME, p_fim TIME) RETURNS TIMESTAMPTZ AS $$
+        SELECT CASE
+          WHEN p_inicio IS NULL OR p_fim IS NULL OR p_inicio = p_fim THEN NULL
+          WHEN p_inicio < p_fim THEN
+            CASE WHEN agora::time >= p_inicio AND agora::time < p_fim
+              THEN (agora::date + p_fim) AT TIME ZONE 'America/Sao_Paulo' END
+          WHEN agora::time >= p_inicio THEN (agora::date + 1 + p_fim) AT TIME ZONE 'America/Sao_Paulo'
+          WHEN agora::time < p_fim THEN (agora::date + p_fim) AT TIME ZONE 'America/Sao_Paulo'
+        END
+        FROM (SELECT NOW() AT TIME ZONE 'America/Sao_Paulo' AS agora) t;
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    // Etiquetas das fornadas e filtros das inscrições: um inscrito pode seguir só algumas fornadas,
+    // produtos ou etiquetas de um estabelecimento. Listas vazias = segue tudo.
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'fornadas'::regclass AND attname = 'tags') THEN
+          ALTER TABLE fornadas ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}';
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'establishment_subscriptions'::regclass AND attname = 'fornada_ids') THEN
+          ALTER TABLE establishment_subscriptions
+            ADD COLUMN fornada_ids INTEGER[] NOT NULL DEFAULT '{}',
+            ADD COLUMN product_ids INTEGER[] NOT NULL DEFAULT '{}',
+            ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}';
+        END IF;
+      END$$;
+    `);
+
+    // Modelos de notificação com marcadores ({estabelecimento}, {horario}, ...). Sem estabelecimento = modelo global.
+    // As frases de notification_messages também podem ser próprias de um estabelecimento.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_templates (
+        id SERIAL PRIMARY KEY,
+        estabelecimento_id INTEGER REFERENCES estabelecimentos(id) ON DELETE CASCADE,
+        kind VARCHAR(30) NOT NULL, -- fornada_antes | fornada_saindo | fornada_agora | manual | novo_seguidor | reserva | ...
+        title TEXT NOT NULL,
+        body TEXT NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS notification_templates_kind_idx ON notification_templates (kind, estabelecimento_id);
+
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'notification_messages'::regclass AND attname = 'estabelecimento_id') THEN
+          ALTER TABLE notification_messages ADD COLUMN estabelecimento_id INTEGER REFERENCES estabelecimentos(id) ON DELETE CASCADE;
+        END IF;
+      END$$;
+    `);
+
+    // Administração: contas podem ser desativadas e estabelecimentos suspensos pela moderação
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'users'::regclass AND attname = 'is_active') THEN
+          ALTER TABLE users ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT true;
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'estabelecimentos'::regclass AND attname = 'is_active') THEN
+          ALTER TABLE estabelecimentos ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT true;
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'estabelecimentos'::regclass AND attname = 'moderation_note') THEN
+          ALTER TABLE estabelecimentos ADD COLUMN moderation_note TEXT;
+        END IF;
+      END$$;
+      CREATE INDEX IF NOT EXISTS estabelecimentos_sem_dono_idx ON estabelecimentos (id) WHERE user_id IS NULL;
+    `);
+
+    // Assinaturas de planos pagos: cada checkout gera uma linha, confirmada pelo webhook do provedor de pagamento
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS plan_subscriptions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        plan_id INTEGER NOT NULL REFERENCES plans(id),
+        status VARCHAR(20) NOT NULL DEFAULT 'pendente', -- pendente | ativa | falhou | cancelada | substituida | expirada
+        provider VARCHAR(30) NOT NULL,
+        provider_reference VARCHAR(255),
+        amount NUMERIC(10, 2) NOT NULL,
+        checkout_url TEXT,
+        period_start TIMESTAMPTZ,
+        period_end TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (provider, provider_reference)
+      );
+      CREATE INDEX IF NOT EXISTS plan_subscriptions_user_idx ON plan_subscriptions (user_id, status);
+      CREATE INDEX IF NOT EXISTS plan_subscriptions_active_end_idx ON plan_subscriptions (period_end) WHERE status = 'ativa';
+    `);
+
+    // Benefícios de cada plano em formato legível pela API (limites null = ilimitado) e prioridade na fila de envio
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'plans'::regclass AND attname = 'entitlements') THEN
+          ALTER TABLE plans ADD COLUMN entitlements JSONB NOT NULL DEFAULT '{}';
+        END IF;
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'push_queue'::regclass AND attname = 'priority') THEN
+          ALTER TABLE push_queue ADD COLUMN priority SMALLINT NOT NULL DEFAULT 0;
+        END IF;
+      END$$;
+    `);
+
+    // Cota de reservas calculada a partir do histórico: conta as reservas do ciclo atual que não foram devolvidas.
+    // Remove o antigo contador users.reserve_count e o registro do job que o zerava todo mês.
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS reservations_user_created_idx ON reservations (user_id, created_at);
+      ALTER TABLE users DROP COLUMN IF EXISTS reserve_count;
+      DELETE FROM scheduled_jobs WHERE name = 'reset-reserve-counts';
+
+      -- Início do ciclo atual da cota de reservas: o aniversário mensal da assinatura paga ativa ou,
+      -- sem assinatura, o primeiro dia do mês (horário de São Paulo). Renovações antecipadas começam
+      -- no futuro e contam para trás a partir do início delas.
+      CREATE OR REPLACE FUNCTION inicio_ciclo_cota(p_user_id INTEGER) RETURNS TIMESTAMPTZ AS $$
+        SELECT COALESCE(
+          (SELECT ancora + make_interval(months => meses - CASE WHEN ancora + make_interval(months => meses) > NOW() THEN 1 ELSE 0 END)
+           FROM (
+             SELECT ps.period_start AS ancora,
+               (EXTRACT(YEAR FROM age(NOW(), ps.period_start)) * 12 + EXTRACT(MONTH FROM age(NOW(), ps.period_start)))::int AS meses
+             FROM plan_subscriptions ps
+             JOIN users u ON u.id = ps.user_id AND u.current_plan = ps.plan_id
+             WHERE ps.user_id = p_user_id AND ps.status = 'ativa'
+             ORDER BY ps.period_start
+             LIMIT 1
+           ) a),
+          date_trunc('month', NOW() AT TIME ZONE 'America/Sao_Paulo') AT TIME ZONE 'America/Sao_Paulo'
+        );
+      $$ LANGUAGE sql STABLE;
+    `);
+
+    // Público dos planos: 'cliente', 'lojista' ou 'todos' (o plano gratuito vale para os dois perfis)
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'plans'::regclass AND attname = 'audience') THEN
+          ALTER TABLE plans ADD COLUMN audience VARCHAR(20) NOT NULL DEFAULT 'cliente';
+          UPDATE plans SET audience = 'todos' WHERE id = 0;
+        END IF;
+      END$$;
+    `);
+
+    // Cupons de desconto: percentual ou valor fixo sobre o primeiro período, ou meses grátis.
+    // Cada usuário usa um cupom uma única vez; o resgate é registrado quando a assinatura é ativada.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS promo_codes (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(40) NOT NULL UNIQUE, -- sempre em maiúsculas
+        description TEXT,
+        plan_id INTEGER REFERENCES plans(id), -- NULL = qualquer plano pago
+        type VARCHAR(20) NOT NULL, -- percentual | valor_fixo | periodo_gratis
+        value NUMERIC(10, 2), -- percentual (0-100) ou valor em reais
+        free_months INTEGER, -- meses grátis (periodo_gratis)
+        max_redemptions INTEGER, -- NULL = ilimitado
+        expires_at TIMESTAMPTZ,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'plan_subscriptions'::regclass AND attname = 'promo_code_id') THEN
+          ALTER TABLE plan_subscriptions
+            ADD COLUMN promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL,
+            ADD COLUMN discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+            ADD COLUMN period_months INTEGER NOT NULL DEFAULT 1;
+        END IF;
+      END$$;
+
+      CREATE TABLE IF NOT EXISTS promo_redemptions (
+        id SERIAL PRIMARY KEY,
+        promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        plan_subscription_id INTEGER REFERENCES plan_subscriptions(id) ON DELETE SET NULL,
+        plan_id INTEGER REFERENCES plans(id),
+        discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (promo_code_id, user_id)
+      );
+    `);
+
+    // Sessões de login: cada uma guarda o hash do refresh token atual e o do anterior (para detectar reuso).
+    // users.tokens_valid_after invalida de uma vez todos os tokens de acesso emitidos antes ("sair de todos os dispositivos").
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash CHAR(64) NOT NULL UNIQUE, -- sha256 em hexadecimal
+        previous_token_hash CHAR(64),
+        user_agent VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ NOT NULL,
+        revoked_at TIMESTAMPTZ,
+        revoked_reason VARCHAR(30) -- logout | logout_todos | reuso | conta_desativada
+      );
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions (user_id);
+      CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_hash ON user_sessions (previous_token_hash);
+
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'users'::regclass AND attname = 'tokens_valid_after') THEN
+          ALTER TABLE users ADD COLUMN tokens_valid_after TIMESTAMPTZ;
+        END IF;
+      END$$;
+    `);
+
+    // Início do disparo de cada aviso, para retomar os que ficaram presos em 'enviando'
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT FROM pg_attribute WHERE attrelid = 'broadcasts'::regclass AND attname = 'started_at') THEN
+          ALTER TABLE broadcasts ADD COLUMN started_at TIMESTAMPTZ;
+        END IF;
+      END$$;
+    `);
+
     console.log('Tabela "plans" verificada/criada. Inserindo plano padrão se necessário...');
 
     await client.query(
@@ -135,6 +794,39 @@ async function run() {
        WHERE NOT EXISTS (SELECT 1 FROM plans WHERE id = 1)`
     );
 
+    // O plano gratuito (0) também é uma linha da tabela. O limite de reservas inicial vem da antiga
+    // variável FREE_PLAN_RESERVATION_LIMIT, se estiver definida (como antes, 0 desativa o limite).
+    const envFreeLimit = parseInt(process.env.FREE_PLAN_RESERVATION_LIMIT, 10);
+    const freeReservationLimit = isNaN(envFreeLimit) ? 5 : (envFreeLimit > 0 ? envFreeLimit : null);
+    await client.query(
+      `INSERT INTO plans (id, name, description, benefits, price, is_active, entitlements, audience)
+       SELECT 0, 'Pão Quentinho Grátis', 'Siga suas padarias favoritas e reserve algumas fornadas por mês.', ARRAY[$1::text], 0, true, $2, 'todos'
+       WHERE NOT EXISTS (SELECT 1 FROM plans WHERE id = 0)`,
+      [
+        freeReservationLimit === null ? 'Reservas ilimitadas' : `Até ${freeReservationLimit} reservas por mês`,
+        { monthlyReservations: freeReservationLimit, maxFollows: null, priorityNotifications: false }
+      ]
+    );
+    // Limites gratuitos dos lojistas, mantendo os que já tiverem sido ajustados
+    await client.query(
+      `UPDATE plans SET entitlements = $1::jsonb || entitlements
+       WHERE id = 0 AND NOT (entitlements ? 'maxEstablishments')`,
+      [{ maxEstablishments: 1, monthlyBroadcasts: 30, analyticsRetentionDays: 30 }]
+    );
+    // Plano padrão para lojistas, criado só se ainda não existir nenhum
+    await client.query(
+      `INSERT INTO plans (id, name, description, benefits, price, is_active, entitlements, audience)
+       SELECT (SELECT COALESCE(MAX(id), 0) + 1 FROM plans), 'Padaria Quentinha Pro',
+         'Para quem tem mais de uma loja e quer falar com os clientes todo dia.',
+         ARRAY['Estabelecimentos ilimitados', 'Avisos manuais ilimitados', 'Um ano de estatísticas'], 29.90, true, $1, 'lojista'
+       WHERE NOT EXISTS (SELECT 1 FROM plans WHERE audience = 'lojista')`,
+      [{ maxEstablishments: null, monthlyBroadcasts: null, analyticsRetentionDays: 365 }]
+    );
+    await client.query(
+      `UPDATE plans SET entitlements = '{"monthlyReservations": null, "maxFollows": null, "priorityNotifications": true}'
+       WHERE id = 1 AND entitlements = '{}'`
+    );
+
     console.log('Tabelas criadas/verificadas com sucesso. Inserindo mensagens padrão se necessário...');
 
     const defaultMessages = [
@@ -166,7 +858,7 @@ async function run() {
     for (const msg of defaultMessages) {
       await client.query(
         `INSERT INTO notification_messages (message)
-         SELECT $1 WHERE NOT EXISTS (SELECT 1 FROM notification_messages WHERE message = $1)`,
+         SELECT $1 WHERE NOT EXISTS (SELECT 1 FROM notification_messages WHERE message = $1 AND estabelecimento_id IS NULL)`,
         [msg]
       );
     }
@@ -4,7 +4,7 @@ require('dotenv').config();
 /**
  * Gera horários de fornada dinâmicos para facilitar os testes.
  * A cada 5 minutos, um novo estabelecimento irá disparar uma notificação.
- * @returns {string[]} Um array com um único horário de fornada.
+ * @returns {string[]} Um array com um único horário de fornada, gravado como fornada diária na tabela fornadas.
  */
 function generateTestTime(offsetMinutes = 0) {
   const now = new Date();
@@ -32,7 +32,7 @@ const estabelecimentosData = [
     tipo: 'outros',
     horarioAbertura: '07:00',
     horarioFechamento: '21:05',
-    proximaFornada: generateTestTime(0), // Notificará no próximo ciclo de 5 min
+    fornadas: generateTestTime(0), // Notificará no próximo ciclo de 5 min
     endereco: { rua: 'Av. Nossa Sra. do Sabará', numero: '2001', bairro: 'Vila Santana', cidade: 'São Paulo', estado: 'SP', cep: '04685-004', complemento: '' },
     info: 'Mercado de frutas, vegetais e produtos frescos. Pães e salgados disponíveis na padaria interna.',
     latitude: -23.672309973956033,
@@ -44,7 +44,7 @@ const estabelecimentosData = [
     tipo: 'mercado',
     horarioAbertura: '00:00',
     horarioFechamento: '23:59', // Representando 24 horas
-    proximaFornada: generateTestTime(5), // Notificará 5 minutos depois do anterior
+    fornadas: generateTestTime(5), // Notificará 5 minutos depois do anterior
     endereco: { rua: 'Av. Nossa Sra. do Sabará', numero: '1785', bairro: 'Vila Sofia', cidade: 'São Paulo', estado: 'SP', cep: '04685-004' },
     info: 'Mercado de conveniência com atendimento 24 horas. Lanches, bebidas e produtos de padaria.',
     latitude: -23.670029653701853,
@@ -56,7 +56,7 @@ const estabelecimentosData = [
     tipo: 'padaria',
     horarioAbertura: '06:00',
     horarioFechamento: '23:00',
-    proximaFornada: generateTestTime(10), // Notificará 10 minutos depois
+    fornadas: generateTestTime(10), // Notificará 10 minutos depois
     endereco: { rua: 'Av. Nossa Sra. do Sabará', numero: '2148', bairro: 'Jardim Campo Grande', cidade: 'São Paulo', estado: 'SP', cep: '04686-002' },
     info: 'Lanchonete e padaria com variedade de salgados, lanches e pães.',
     latitude: -23.673485126217443,
@@ -68,7 +68,7 @@ const estabelecimentosData = [
     tipo: 'mercado',
     horarioAbertura: '07:00',
     horarioFechamento: '22:00',
-    proximaFornada: generateTestTime(15), // Notificará 15 minutos depois
+    fornadas: generateTestTime(15), // Notificará 15 minutos depois
     endereco: { rua: 'R. Moacir Simões da Rocha', numero: '105', bairro: 'Vila Sao Pedro', cidade: 'São Paulo', estado: 'SP', cep: '04674-150' },
     info: 'Supermercado completo com padaria, açougue e uma grande variedade de produtos.',
     latitude: -23.665293867593874,
@@ -80,7 +80,7 @@ const estabelecimentosData = [
     tipo: 'padaria',
     horarioAbertura: '06:00',
     horarioFechamento: '21:30',
-    proximaFornada: generateTestTime(20), // Notificará 20 minutos depois
+    fornadas: generateTestTime(20), // Notificará 20 minutos depois
     endereco: { rua: 'R. Antônio do Campo', numero: '444', bairro: 'Pedreira', cidade: 'São Paulo', estado: 'SP', cep: '04459-000' },
     info: 'Padaria tradicional com pães frescos, bolos e salgados.',
     latitude: -23.692614433202063,
@@ -92,7 +92,7 @@ const estabelecimentosData = [
     tipo: 'mercado',
     horarioAbertura: '07:00',
     horarioFechamento: '21:00',
-    proximaFornada: [],
+    fornadas: [],
     endereco: { rua: 'R. Alzira Alves dos Santos', numero: '177', bairro: 'Pedreira', cidade: 'São Paulo', estado: 'SP', cep: '04459-240' },
     info: 'Adega com variedade de bebidas e produtos.',
     latitude: -23.6937513081122,
@@ -104,7 +104,7 @@ const estabelecimentosData = [
     tipo: 'casaDeBolos',
     horarioAbertura: '09:00',
     horarioFechamento: '19:00',
-    proximaFornada: [],
+    fornadas: [],
     endereco: { rua: 'Av. Interlagos', numero: '3327', bairro: 'Interlagos', cidade: 'São Paulo', estado: 'SP', cep: '04661-200' },
     info: 'A maior variedade de bolos do Brasil. Perfeito para sua festa ou sobremesa.',
     latitude: -23.67937586467009,
@@ -116,7 +116,7 @@ const estabelecimentosData = [
     tipo: 'padaria',
     horarioAbertura: '06:00',
     horarioFechamento: '22:00',
-    proximaFornada: [],
+    fornadas: [],
     endereco: { rua: 'Av. Nossa Sra. do Sabará', numero: '3610', bairro: 'Vila Emir', cidade: 'São Paulo', estado: 'SP', cep: '04447-010' },
     info: 'Padaria e confeitaria com pães, bolos, doces e salgados.',
     latitude: -23.68507788734944,
@@ -142,14 +142,32 @@ async function seedDatabase() {
 
     console.log('Apagando tabelas antigas (se existirem)...');
     // A ordem de DROP é a inversa da criação para respeitar as dependências.
-    // O CASCADE cuida de remover as dependências automaticamente.
+    // O CASCADE cuida de remover as dependências automaticamente, inclusive as das tabelas criadas pelo migrate.js.
     await client.query(`
-      DROP TABLE IF EXISTS establishment_subscriptions;
-      DROP TABLE IF EXISTS subscriptions;
-      DROP TABLE IF EXISTS estabelecimentos;
-      DROP TABLE IF EXISTS users;
-      DROP TABLE IF EXISTS plans;
-      DROP TABLE IF EXISTS notification_messages;
+      DROP TABLE IF EXISTS user_sessions CASCADE;
+      DROP TABLE IF EXISTS promo_redemptions CASCADE;
+      DROP TABLE IF EXISTS promo_codes CASCADE;
+      DROP TABLE IF EXISTS plan_subscriptions CASCADE;
+      DROP TABLE IF EXISTS notification_templates CASCADE;
+      DROP TABLE IF EXISTS broadcasts CASCADE;
+      DROP TABLE IF EXISTS push_queue CASCADE;
+      DROP TABLE IF EXISTS notifications CASCADE;
+      DROP TABLE IF EXISTS scheduled_jobs CASCADE;
+      DROP TABLE IF EXISTS notification_ledger CASCADE;
+      DROP TABLE IF EXISTS reservation_items CASCADE;
+      DROP TABLE IF EXISTS fornada_products CASCADE;
+      DROP TABLE IF EXISTS products CASCADE;
+      DROP TABLE IF EXISTS reservations CASCADE;
+      DROP TABLE IF EXISTS fornada_cancellations CASCADE;
+      DROP TABLE IF EXISTS fornadas CASCADE;
+      DROP TABLE IF EXISTS establishment_hour_exceptions CASCADE;
+      DROP TABLE IF EXISTS establishment_hours CASCADE;
+      DROP TABLE IF EXISTS establishment_subscriptions CASCADE;
+      DROP TABLE IF EXISTS subscriptions CASCADE;
+      DROP TABLE IF EXISTS estabelecimentos CASCADE;
+      DROP TABLE IF EXISTS users CASCADE;
+      DROP TABLE IF EXISTS plans CASCADE;
+      DROP TABLE IF EXISTS notification_messages CASCADE;
     `);
 
     console.log('Criando novas tabelas...');
@@ -161,7 +179,6 @@ async function seedDatabase() {
         password_hash VARCHAR(255) NOT NULL,
         role VARCHAR(50) NOT NULL DEFAULT 'cliente',
         created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
-        reserve_count INTEGER NOT NULL DEFAULT 0,
         current_plan INTEGER NOT NULL DEFAULT 0
       );
     `);
@@ -205,6 +222,23 @@ async function seedDatabase() {
       );
     `);
 
+    // Agenda de fornadas, igual à criada pelo migrate.js (que completa as demais tabelas)
+    await client.query(`
+      CREATE TABLE fornadas (
+        id SERIAL PRIMARY KEY,
+        estabelecimento_id INTEGER NOT NULL REFERENCES estabelecimentos(id) ON DELETE CASCADE,
+        time TIME NOT NULL,
+        description VARCHAR(255),
+        weekdays SMALLINT[], -- 0 = domingo, igual ao EXTRACT(DOW)
+        date DATE,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        legacy_id VARCHAR(255), -- ID usado em details.proximaFornada, mantido para links de reserva já enviados
+        created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+        CHECK (date IS NULL OR weekdays IS NULL)
+      );
+      CREATE INDEX fornadas_estabelecimento_idx ON fornadas (estabelecimento_id);
+    `);
+
     await client.query(`
       CREATE TABLE notification_messages (
         id SERIAL PRIMARY KEY,
@@ -291,7 +325,7 @@ async function seedDatabase() {
     console.log('Populando a tabela "estabelecimentos"...');
     for (const est of estabelecimentosData) {
       // Separa os campos principais dos detalhes para inserção nas colunas corretas
-      const { id, nome, tipo, latitude, longitude, ...details } = est;
+      const { id, nome, tipo, latitude, longitude, fornadas, ...details } = est;
       
       const insertQuery = `
         INSERT INTO estabelecimentos (id, nome, tipo, latitude, longitude, details, user_id)
@@ -299,6 +333,11 @@ async function seedDatabase() {
       `;
       // Associa todos os estabelecimentos de teste ao usuário de teste
       await client.query(insertQuery, [id, nome, tipo, latitude, longitude, details, testUserId]);
+
+      // As fornadas ficam na tabela fornadas (diárias), não mais em details.proximaFornada
+      for (const time of fornadas) {
+        await client.query('INSERT INTO fornadas (estabelecimento_id, time) VALUES ($1, $2)', [id, time]);
+      }
     }
 
     // --- 3. Sincronização da Sequência de IDs ---
@@ -310,7 +349,7 @@ async function seedDatabase() {
     console.log(`Sincronizando a sequência de IDs para começar após ${maxId}...`);
     await client.query(`SELECT setval(pg_get_serial_sequence('estabelecimentos', 'id'), ${maxId})`);
 
-    console.log('✅ Seed concluído com sucesso!');
+    console.log('✅ Seed concluído com sucesso! Rode `npm run migrate` em seguida para criar as demais tabelas.');
   } catch (err) {
     console.error('❌ Erro durante o processo de seed:', err.stack);
   } finally {